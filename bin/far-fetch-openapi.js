@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const { default: cli } = require('../dist/cjs/far-fetch-openapi-cli');
+
+process.exitCode = cli(process.argv.slice(2));
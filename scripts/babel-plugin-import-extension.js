@@ -0,0 +1,26 @@
+/**
+ * Babel plugin adding a file extension to relative imports, as Node ES modules require one.
+ *
+ * @param {Object} babel - Babel API.
+ * @param {Object} [options = {}]
+ * @param {string} [options.extension = '.mjs'] - Extension added to the import paths.
+ * @returns {Object} The plugin.
+ */
+module.exports = (babel, { extension = '.mjs' } = {}) => {
+  const addExtension = (path) => {
+    const { source } = path.node;
+
+    if (!source || !/^\.\.?\//.test(source.value) || /\.m?js$/.test(source.value)) return;
+
+    source.value = `${source.value}${extension}`;
+  };
+
+  return {
+    name: 'import-extension',
+    visitor: {
+      ImportDeclaration: addExtension,
+      ExportNamedDeclaration: addExtension,
+      ExportAllDeclaration: addExtension,
+    },
+  };
+};
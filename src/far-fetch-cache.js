@@ -0,0 +1,184 @@
+/**
+ * Response cache options.
+ *
+ * @typedef {Object} CacheOptions
+ * @property {number} [ttl] - Amount of milliseconds a response is fresh. Defaults to the `max-age`
+ * of the `Cache-Control` response header, or `0` if missing.
+ * @property {number} [staleWhileRevalidate] - Amount of milliseconds a stale response is still
+ * returned, while it's revalidated in the background. Defaults to the `stale-while-revalidate` of
+ * the `Cache-Control` response header, or `0` if missing.
+ * @property {string[]} [headers = ['Accept', 'Authorization']] - Request headers that are part of
+ * the cache key, so different users never share a response.
+ * @property {number} [maxEntries = 100] - Maximum amount of cached responses. The oldest one is
+ * removed when exceeded.
+ */
+
+/** In-memory response cache for GET and HEAD requests. */
+export default class FarFetchCache {
+  /**
+   * @param {Object} [options = {}]
+   * @param {function(string): string} [options.resolveURL] - Resolves a relative URL passed in to
+   * `invalidate()`, like the request URL would be.
+   */
+  constructor({ resolveURL = (url) => url } = {}) {
+    this.resolveURL = resolveURL;
+    this.entries = new Map();
+  }
+
+  /**
+   * Parse the `Cache-Control` header.
+   *
+   * @param {string|null} cacheControl - The `Cache-Control` header value.
+   * @returns {Object.<string, number|boolean>} Directives, with seconds as value if they have one.
+   */
+  static parseCacheControl(cacheControl) {
+    const directives = {};
+
+    (cacheControl ?? '').split(',').forEach((directive) => {
+      const [name, value] = directive.trim().toLowerCase().split('=');
+
+      if (!name) return;
+
+      directives[name] = value === undefined ? true : Number(value.replace(/"/g, ''));
+    });
+
+    return directives;
+  }
+
+  /**
+   * Cache key of a request.
+   *
+   * @param {Object} options
+   * @param {string} options.method - The CRUD method.
+   * @param {string} options.url - The full URL.
+   * @param {Object.<string, string>|Headers} [options.headers] - The request headers.
+   * @param {string[]} [options.varyHeaders = []] - Request headers that are part of the key.
+   * @returns {string} The cache key.
+   */
+  static key({
+    method,
+    url,
+    headers,
+    varyHeaders = [],
+  }) {
+    const headerValues = varyHeaders.map((header) => {
+      let value;
+
+      if (typeof headers?.get === 'function') {
+        value = headers.get(header);
+      } else if (headers) {
+        const name = Object.keys(headers).find((key) => key.toLowerCase() === header.toLowerCase());
+
+        value = headers[name];
+      }
+
+      return `${header.toLowerCase()}=${value ?? ''}`;
+    });
+
+    return [method, url, ...headerValues].join(' ');
+  }
+
+  /**
+   * Get a cached response.
+   *
+   * @param {string} key - The cache key.
+   * @returns {Object|undefined} The cache entry.
+   */
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Cache a response, unless the `Cache-Control` response header forbids it or it can't ever be
+   * used.
+   *
+   * @param {string} key - The cache key.
+   * @param {Object} options
+   * @param {string} options.url - The full URL.
+   * @param {Response} options.response - Fetch API response, which body must not be read yet.
+   * @param {CacheOptions} options.cacheOptions - Response cache options.
+   * @returns {Object|undefined} The cache entry.
+   */
+  set(key, { url, response, cacheOptions }) {
+    const cacheControl = FarFetchCache.parseCacheControl(response.headers?.get('Cache-Control'));
+
+    if (cacheControl['no-store']) {
+      this.entries.delete(key);
+
+      return undefined;
+    }
+
+    let ttl = cacheOptions.ttl ?? (cacheControl['max-age'] ?? 0) * 1000;
+
+    // Must always be revalidated before use
+    if (cacheControl['no-cache']) ttl = 0;
+
+    const staleWhileRevalidate = cacheOptions.staleWhileRevalidate
+      ?? (cacheControl['stale-while-revalidate'] ?? 0) * 1000;
+
+    const etag = response.headers?.get('ETag');
+    const lastModified = response.headers?.get('Last-Modified');
+
+    // Useless entry, as it's never fresh and can't be revalidated
+    if (ttl <= 0 && staleWhileRevalidate <= 0 && !etag && !lastModified) return undefined;
+
+    const entry = {
+      url,
+      response: response.clone(),
+      storedAt: Date.now(),
+      ttl,
+      staleWhileRevalidate,
+      etag,
+      lastModified,
+    };
+
+    // Re-insert, so the Map order stays from oldest to newest
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    const { maxEntries = 100 } = cacheOptions;
+
+    if (this.entries.size > maxEntries) {
+      const [oldestKey] = this.entries.keys();
+
+      this.entries.delete(oldestKey);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove cached responses by cache key or URL prefix. Removes every one if omitted.
+   *
+   * @param {string} [keyOrPrefix] - Cache key or URL prefix. Relative URLs use the base URL. The
+   * prefix matches whole path segments.
+   *
+   * @example
+   * // Also removes '/users/23' and '/users?page=2', but not '/users-archive'
+   * ff.cache.invalidate('/users');
+   */
+  invalidate(keyOrPrefix) {
+    if (keyOrPrefix === undefined) {
+      this.entries.clear();
+
+      return;
+    }
+
+    const prefix = this.resolveURL(keyOrPrefix);
+
+    // Prefix is a whole path segment, unless it already ends with a separator
+    const isUnderPrefix = (url) => url.startsWith(prefix)
+      && (/[/?#]$/.test(prefix) || ['', '/', '?', '#'].includes(url.charAt(prefix.length)));
+
+    [...this.entries.entries()].forEach(([key, { url }]) => {
+      if (key === keyOrPrefix || isUnderPrefix(url)) {
+        this.entries.delete(key);
+      }
+    });
+  }
+
+  /** Remove every cached response. */
+  clear() {
+    this.entries.clear();
+  }
+}
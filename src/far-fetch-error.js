@@ -1,4 +1,15 @@
-import FarFetchHelper from './far-fetch-helper';
+/* eslint-disable max-classes-per-file */
+import FarFetchHelper, { sensitiveHeaders } from './far-fetch-helper';
+
+/**
+ * The request that failed.
+ *
+ * @typedef {Object} ErrorRequest
+ * @property {string} url - The full URL.
+ * @property {string} method - The CRUD method.
+ * @property {RequestInit} options - Init options from Fetch API, without `body` and `signal`.
+ * Sensitive headers, like `Authorization`, are redacted.
+ */
 
 /** FarFetch Error class.
  * @extends Error
@@ -6,7 +17,7 @@ import FarFetchHelper from './far-fetch-helper';
 export default class FarFetchError extends Error {
   /**
    * @param {string|Object.<string, *>} message - Will be in the `message` property if a string
-   * or its own properties if object.
+   * or its own properties if object. An `error` property is the `cause`.
    */
   constructor(message) {
     let messageString;
@@ -17,12 +28,16 @@ export default class FarFetchError extends Error {
 
     super(messageString);
 
-    this.name = this.constructor.name;
+    this.name = 'FarFetchError';
 
     // Create object properties if message is an object
     if (FarFetchHelper.isPlainObject(message)) {
       Object.keys(message).forEach((key) => {
-        this[key] = message[key];
+        if (key === 'error') {
+          this.cause = message.error;
+        } else {
+          this[key] = message[key];
+        }
       });
     }
 
@@ -32,4 +47,204 @@ export default class FarFetchError extends Error {
       this.stack = (new Error(messageString)).stack;
     }
   }
+
+  /**
+   * The error itself, as errors used to be thrown as an `{ error, response }` object.
+   *
+   * @deprecated Use the error directly.
+   * @returns {FarFetchError}
+   */
+  get error() {
+    return this;
+  }
+
+  /**
+   * Copy of the error, of the same class and with the same properties.
+   *
+   * @param {Object.<string, *>} [properties = {}] - Properties to change in the copy.
+   * @returns {FarFetchError}
+   */
+  copy(properties = {}) {
+    const error = Object.create(Object.getPrototypeOf(this));
+
+    Object.defineProperties(error, Object.getOwnPropertyDescriptors(this));
+
+    return Object.assign(error, properties);
+  }
+
+  /**
+   * Request of an error, safe to log.
+   *
+   * @param {string} url - The full URL.
+   * @param {RequestInit} [options = {}] - Init options from Fetch API.
+   * @returns {ErrorRequest}
+   */
+  static request(url, options = {}) {
+    const {
+      body,
+      signal,
+      headers,
+      ...initOptions
+    } = options;
+
+    let entries = Object.entries(headers ?? {});
+
+    if (Array.isArray(headers)) { // Array of name and value pairs
+      entries = headers;
+    } else if (typeof headers?.entries === 'function') { // Headers object
+      entries = [...headers.entries()];
+    }
+
+    const safeHeaders = {};
+
+    entries.forEach(([name, value]) => {
+      safeHeaders[name] = sensitiveHeaders.includes(name.toLowerCase()) ? '[REDACTED]' : value;
+    });
+
+    return {
+      url,
+      method: (options.method ?? 'GET').toUpperCase(),
+      options: { ...initOptions, headers: safeHeaders },
+    };
+  }
+}
+
+/**
+ * The server responded with a status outside of the 200-299 range.
+ *
+ * @extends FarFetchError
+ */
+export class HTTPError extends FarFetchError {
+  /**
+   * @param {ResponsePlus} response - The response, with its body parsed.
+   */
+  constructor(response) {
+    super({
+      message: `Request failed with status code ${response.status}.`,
+      code: 'EHTTP',
+      status: response.status,
+      statusText: response.statusText,
+      body: response.responseData ?? null,
+      response,
+    });
+
+    this.name = 'HTTPError';
+  }
+}
+
+/**
+ * The server couldn't be reached, like when offline or blocked by CORS.
+ *
+ * @extends FarFetchError
+ */
+export class NetworkError extends FarFetchError {
+  /**
+   * @param {Error} cause - Error thrown by Fetch API.
+   */
+  constructor(cause) {
+    super({ message: 'Network request failed.', code: 'ENETWORK', cause });
+
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The request took longer than the `timeout` option.
+ *
+ * @extends FarFetchError
+ */
+export class TimeoutError extends FarFetchError {
+  /**
+   * @param {number} timeout - Amount of milliseconds the request was allowed to take.
+   * @param {Error} [cause] - Error thrown by Fetch API.
+   */
+  constructor(timeout, cause) {
+    super({
+      message: `Request timed out after ${timeout}ms.`,
+      code: 'ETIMEDOUT',
+      timeout,
+      cause,
+    });
+
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The request was cancelled with the `signal` option.
+ *
+ * @extends FarFetchError
+ */
+export class AbortError extends FarFetchError {
+  /**
+   * @param {Error} [cause] - Error thrown by Fetch API.
+   */
+  constructor(cause) {
+    super({ message: 'Request aborted.', code: 'EABORTED', cause });
+
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * The response body doesn't match its type, like invalid JSON.
+ *
+ * @extends FarFetchError
+ */
+export class ParseError extends FarFetchError {
+  /**
+   * @param {Response} response - The response, which body can still be read as text.
+   * @param {Error} cause - Error thrown by the parser.
+   */
+  constructor(response, cause) {
+    super({
+      message: 'Failed to parse the response body.',
+      code: 'EPARSE',
+      response,
+      cause,
+    });
+
+    this.name = 'ParseError';
+  }
+}
+
+/**
+ * The request options or data are invalid.
+ *
+ * @extends FarFetchError
+ */
+export class ValidationError extends FarFetchError {
+  /**
+   * @param {string} message - What is invalid.
+   * @param {Object} [properties = {}] - Extra properties, like the invalid value.
+   */
+  constructor(message, properties = {}) {
+    super({ message, code: 'EVALIDATION', ...properties });
+
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * The response body, or the request data, doesn't match the `schema` or `dataSchema` option.
+ *
+ * @extends FarFetchError
+ */
+export class SchemaError extends FarFetchError {
+  /**
+   * @param {'response'|'data'} target - What is invalid.
+   * @param {Array} issues - Issues found by the validator, in its format.
+   */
+  constructor(target, issues) {
+    super({
+      message: target === 'data'
+        ? 'Request data does not match the schema.'
+        : 'Response body does not match the schema.',
+      code: 'ESCHEMA',
+      target,
+      issues,
+    });
+
+    this.name = 'SchemaError';
+  }
 }
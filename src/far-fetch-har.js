@@ -0,0 +1,480 @@
+/* eslint-disable max-classes-per-file */
+import FarFetchHelper, { nullBodyStatuses, sensitiveHeaders } from './far-fetch-helper';
+import FarFetchParsers from './far-fetch-parsers';
+import FarFetchURL from './far-fetch-url';
+import FarFetchError from './far-fetch-error';
+
+/**
+ * Name and value pair of HAR headers, query params and form params.
+ *
+ * @typedef {Object} HARPair
+ * @property {string} name - The name.
+ * @property {string} value - The value.
+ */
+
+/**
+ * Request and response pair of a HAR 1.2 log.
+ * {@link http://www.softwareishard.com/blog/har-12-spec/#entries}
+ *
+ * @typedef {Object} HAREntry
+ * @property {string} startedDateTime - When the request started, as an ISO string.
+ * @property {number} time - Amount of milliseconds the request took.
+ * @property {Object} request - The request, with its `method`, `url`, `headers`, `queryString` and
+ * `postData`.
+ * @property {Object} response - The response, with its `status`, `statusText`, `headers` and
+ * `content`.
+ */
+
+/**
+ * HAR 1.2 document.
+ *
+ * @typedef {Object} HAR
+ * @property {Object} log
+ * @property {'1.2'} log.version - Version of the format.
+ * @property {{ name: string, version: string }} log.creator - What recorded it.
+ * @property {HAREntry[]} log.entries - The requests, in the order they were sent.
+ */
+
+/** Response headers describing the body as sent, not the decoded body that is recorded. */
+const encodingHeaders = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/** Value of redacted headers and params. */
+const redacted = '[REDACTED]';
+
+/** FarFetch HAR helper class. */
+export default class FarFetchHAR {
+  /**
+   * Headers as HAR pairs, with the ones to redact redacted.
+   *
+   * @param {Headers|Object.<string, string>|Array} [headers = {}] - The headers.
+   * @param {string[]} [redact = []] - Lowercase names to redact.
+   * @returns {HARPair[]}
+   */
+  static headers(headers = {}, redact = []) {
+    let entries = Object.entries(headers);
+
+    if (Array.isArray(headers)) { // Array of name and value pairs
+      entries = headers;
+    } else if (typeof headers.entries === 'function') { // Headers object
+      entries = [...headers.entries()];
+    }
+
+    return entries.map(([name, value]) => ({
+      name,
+      value: redact.includes(name.toLowerCase()) ? redacted : String(value),
+    }));
+  }
+
+  /**
+   * URL with the query params to redact redacted.
+   *
+   * @param {string} url - The full URL.
+   * @param {string[]} [redact = []] - Lowercase names to redact.
+   * @returns {string} The URL, absolute even if relative to the page.
+   */
+  static redactURL(url, redact = []) {
+    const parsedURL = new URL(url, FarFetchURL.documentURL ?? undefined);
+
+    const names = [...parsedURL.searchParams.keys()]
+      .filter((name) => redact.includes(name.toLowerCase()));
+
+    names.forEach((name) => parsedURL.searchParams.set(name, redacted));
+
+    return parsedURL.href;
+  }
+
+  /**
+   * Body of a request as HAR post data. Strings, `URLSearchParams` and `FormData` are recorded,
+   * while the content of binary bodies and streams isn't.
+   *
+   * @param {*} body - The body, as sent to Fetch API.
+   * @param {Object.<string, string>} headers - The headers, with lowercase names.
+   * @param {string[]} [redact = []] - Lowercase names of form params to redact.
+   * @returns {Object|undefined} The post data, or undefined without body.
+   */
+  static postData(body, headers, redact = []) {
+    if (body === undefined || body === null) return undefined;
+
+    const mimeType = headers['content-type'] ?? '';
+
+    if (typeof body === 'string') return { mimeType, text: body };
+
+    if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+      return { mimeType: mimeType || 'application/x-www-form-urlencoded', text: body.toString() };
+    }
+
+    if (FarFetchHelper.isFormData(body)) {
+      const params = [...body.entries()].map(([name, value]) => {
+        if (typeof value === 'string') {
+          return { name, value: redact.includes(name.toLowerCase()) ? redacted : value };
+        }
+
+        return { name, fileName: value.name ?? 'blob', contentType: value.type };
+      });
+
+      return { mimeType: mimeType || 'multipart/form-data', params, text: '' };
+    }
+
+    return { mimeType, text: '', comment: 'Binary body, which is not recorded.' };
+  }
+
+  /**
+   * Request as a HAR request.
+   *
+   * @param {string} url - The full URL.
+   * @param {RequestInit} [options = {}] - Init options from Fetch API.
+   * @param {string[]} [redact = []] - Lowercase names of the headers and params to redact.
+   * @returns {Object} The HAR request.
+   */
+  static request(url, options = {}, redact = []) {
+    const headers = FarFetchHAR.headers(options.headers, redact);
+
+    const lowercaseHeaders = Object.fromEntries(
+      headers.map(({ name, value }) => [name.toLowerCase(), value]),
+    );
+
+    const redactedURL = FarFetchHAR.redactURL(url, redact);
+
+    const postData = FarFetchHAR.postData(options.body, lowercaseHeaders, redact);
+
+    return {
+      method: (options.method ?? 'GET').toUpperCase(),
+      url: redactedURL,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers,
+      queryString: [...new URL(redactedURL).searchParams].map(([name, value]) => ({ name, value })),
+      ...(postData && { postData }),
+      headersSize: -1,
+      bodySize: postData?.text?.length ?? 0,
+    };
+  }
+
+  /**
+   * Response as a HAR response. Text bodies are kept as is, others are base64 encoded.
+   *
+   * @param {Response} response - Fetch API response, which body isn't read.
+   * @param {string[]} [redact = []] - Lowercase names of the headers to redact.
+   * @returns {Promise<Object>} The HAR response.
+   */
+  static async response(response, redact = []) {
+    const mimeType = response.headers.get('Content-Type') ?? '';
+
+    const content = { size: 0, mimeType, text: '' };
+
+    if (!nullBodyStatuses.includes(response.status) && response.body !== null) {
+      if (FarFetchParsers.responseType(FarFetchParsers.mimeType(mimeType)) === 'blob') {
+        const bytes = new Uint8Array(await response.clone().arrayBuffer());
+
+        content.size = bytes.length;
+        content.text = FarFetchHAR.encodeBase64(bytes);
+        content.encoding = 'base64';
+      } else {
+        content.text = await response.clone().text();
+        content.size = content.text.length;
+      }
+    }
+
+    return {
+      status: response.status,
+      statusText: response.statusText ?? '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: FarFetchHAR.headers(response.headers, redact),
+      content,
+      redirectURL: response.headers.get('Location') ?? '',
+      headersSize: -1,
+      bodySize: content.size,
+    };
+  }
+
+  /**
+   * Encode bytes as base64.
+   *
+   * @param {Uint8Array} bytes - The bytes.
+   * @returns {string}
+   */
+  static encodeBase64(bytes) {
+    let binary = '';
+
+    // Chunked, as too many arguments overflow the stack
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+    }
+
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 to bytes.
+   *
+   * @param {string} base64 - The base64 string.
+   * @returns {Uint8Array}
+   */
+  static decodeBase64(base64) {
+    return Uint8Array.from(atob(base64), (character) => character.charCodeAt(0));
+  }
+
+  /**
+   * Lowercase names to redact.
+   *
+   * @param {string[]} redact - Names to redact.
+   * @returns {string[]}
+   */
+  static redactNames(redact) {
+    return redact.map((name) => name.toLowerCase());
+  }
+}
+
+/**
+ * Transport that sends requests with Fetch API and records them, with their responses, to a HAR
+ * 1.2 document. Pass it in the `fetch` option. The request is recorded as it is sent, after the
+ * options are merged and the body is serialized.
+ */
+export class HARRecorder {
+  /**
+   * @param {Object} [options = {}]
+   * @param {function(string, RequestInit): Promise<Response>} [options.fetch = fetch] - Fetch API
+   * implementation sending the requests.
+   * @param {string[]} [options.redact] - Names of the headers, query params and form params to
+   * redact, case insensitive. Defaults to `Authorization`, `Proxy-Authorization`, `Cookie`,
+   * `Set-Cookie` and `X-Api-Key`.
+   */
+  constructor({ fetch: fetchImplementation, redact = sensitiveHeaders } = {}) {
+    this.fetchImplementation = fetchImplementation;
+    this.redact = FarFetchHAR.redactNames(redact);
+
+    /**
+     * Recorded requests and responses, in the order they were sent.
+     *
+     * @type {HAREntry[]}
+     */
+    this.entries = [];
+
+    /**
+     * Fetch API implementation recording the requests. Bound, so it can be passed around.
+     *
+     * @type {function(string, RequestInit=): Promise<Response>}
+     */
+    this.fetch = (url, options) => this.record(url, options);
+  }
+
+  /**
+   * Send a request and record it. Requests that fail without response aren't recorded.
+   *
+   * @private
+   * @param {string} url - The full URL.
+   * @param {RequestInit} [options = {}] - Init options from Fetch API.
+   * @returns {Promise<Response>} The response, which body isn't read.
+   */
+  async record(url, options = {}) {
+    const start = Date.now();
+
+    // Recorded before sending, as sending can consume the body
+    const request = FarFetchHAR.request(url, options, this.redact);
+
+    const response = await (this.fetchImplementation ?? fetch)(url, options);
+
+    const time = Date.now() - start;
+
+    this.entries.push({
+      startedDateTime: new Date(start).toISOString(),
+      time,
+      request,
+      response: await FarFetchHAR.response(response, this.redact),
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 },
+    });
+
+    return response;
+  }
+
+  /**
+   * The recorded requests as a HAR document, to be saved as JSON.
+   *
+   * @returns {HAR}
+   *
+   * @example
+   * fs.writeFileSync('users.har', JSON.stringify(recorder.har(), null, 2));
+   */
+  har() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'far-fetch', version: '' },
+        entries: this.entries,
+      },
+    };
+  }
+
+  /**
+   * The recorded requests as a HAR document, used by `JSON.stringify()`.
+   *
+   * @returns {HAR}
+   */
+  toJSON() {
+    return this.har();
+  }
+}
+
+/**
+ * Transport that replies to requests with the responses recorded in a HAR document, instead of
+ * sending them. Pass it in the `fetch` option. Requests that no entry matches fail with an
+ * `ENOMOCK` error.
+ */
+export class HARReplay {
+  /**
+   * @param {HAR|string} har - The HAR document, or its JSON.
+   * @param {Object} [options = {}]
+   * @param {boolean|string[]} [options.ignoreHeaders = true] - Request headers that don't need to
+   * match, or `true` for all of them.
+   * @param {boolean} [options.normalizeQuery = true] - Match query params in any order.
+   * @param {string[]} [options.ignoreQuery = []] - Query params that don't need to match, like
+   * cache busters.
+   * @param {boolean} [options.matchBody = true] - Do request bodies need to match?
+   * @param {function(Object, HAREntry): boolean} [options.match] - Extra rule, given the request as
+   * a HAR request and the recorded entry.
+   * @param {string[]} [options.redact] - Names of the headers and params redacted when recording,
+   * which are redacted in requests as well before matching.
+   * @param {function(new:Response, *, ResponseInit)} [options.Response = Response] - Response
+   * class of the replies, for environments without Fetch API.
+   */
+  constructor(har, {
+    ignoreHeaders = true,
+    normalizeQuery = true,
+    ignoreQuery = [],
+    matchBody = true,
+    match,
+    redact = sensitiveHeaders,
+    Response: ResponseClass,
+  } = {}) {
+    const { log } = typeof har === 'string' ? JSON.parse(har) : har;
+
+    this.entries = log.entries;
+    this.ignoreHeaders = Array.isArray(ignoreHeaders)
+      ? ignoreHeaders.map((name) => name.toLowerCase())
+      : ignoreHeaders;
+    this.normalizeQuery = normalizeQuery;
+    this.ignoreQuery = ignoreQuery;
+    this.matchBody = matchBody;
+    this.match = match;
+    this.redact = FarFetchHAR.redactNames(redact);
+    this.ResponseClass = ResponseClass;
+    this.replayed = new Set();
+
+    /**
+     * Fetch API implementation replying with the recordings. Bound, so it can be passed around.
+     *
+     * @type {function(string, RequestInit=): Promise<Response>}
+     */
+    this.fetch = (url, options) => this.reply(url, options);
+  }
+
+  /**
+   * Comparable query of a HAR request, according to the matching rules.
+   *
+   * @private
+   * @param {Object} request - The HAR request.
+   * @returns {string}
+   */
+  query(request) {
+    const params = new URL(request.url).searchParams;
+
+    const pairs = [...params].filter(([name]) => !this.ignoreQuery.includes(name));
+
+    if (this.normalizeQuery) pairs.sort(([a], [b]) => (a < b ? -1 : Number(a > b)));
+
+    return JSON.stringify(pairs);
+  }
+
+  /**
+   * Comparable headers of a HAR request, according to the matching rules.
+   *
+   * @private
+   * @param {Object} request - The HAR request.
+   * @returns {string}
+   */
+  headers(request) {
+    if (this.ignoreHeaders === true) return '';
+
+    const ignored = this.ignoreHeaders || [];
+
+    return JSON.stringify(request.headers
+      .map(({ name, value }) => [name.toLowerCase(), value])
+      .filter(([name]) => !ignored.includes(name))
+      .sort(([a], [b]) => (a < b ? -1 : Number(a > b))));
+  }
+
+  /**
+   * Does a recorded entry match a request?
+   *
+   * @private
+   * @param {HAREntry} entry - The recorded entry.
+   * @param {Object} request - The request, as a HAR request.
+   * @returns {boolean}
+   */
+  matches(entry, request) {
+    const recorded = entry.request;
+
+    const withoutQuery = (url) => url.split(/[?#]/)[0];
+
+    return recorded.method.toUpperCase() === request.method
+      && withoutQuery(recorded.url) === withoutQuery(request.url)
+      && this.query(recorded) === this.query(request)
+      && this.headers(recorded) === this.headers(request)
+      && (!this.matchBody || JSON.stringify(recorded.postData ?? null)
+        === JSON.stringify(request.postData ?? null))
+      && (!this.match || this.match(request, entry));
+  }
+
+  /**
+   * Reply to a request with a recorded entry matching it. Matching entries reply in the order they
+   * were recorded, then the last one keeps replying.
+   *
+   * @private
+   * @param {string} url - The full URL.
+   * @param {RequestInit} [options = {}] - Init options from Fetch API.
+   * @returns {Promise<Response>}
+   * @throws {FarFetchError} Error with an `ENOMOCK` code when no entry matches the request.
+   */
+  async reply(url, options = {}) {
+    const request = FarFetchHAR.request(url, options, this.redact);
+
+    const matching = this.entries.filter((entry) => this.matches(entry, request));
+
+    if (matching.length === 0) {
+      throw new FarFetchError({
+        message: `No recorded request matches ${request.method} ${request.url}.`,
+        code: 'ENOMOCK',
+      });
+    }
+
+    const entry = matching.find((candidate) => !this.replayed.has(candidate))
+      ?? matching[matching.length - 1];
+
+    this.replayed.add(entry);
+
+    const {
+      status,
+      statusText,
+      headers,
+      content = {},
+    } = entry.response;
+
+    let body = null;
+
+    if (!nullBodyStatuses.includes(status) && content.text) {
+      body = content.encoding === 'base64'
+        ? FarFetchHAR.decodeBase64(content.text)
+        : content.text;
+    }
+
+    const responseHeaders = headers
+      .filter(({ name }) => !encodingHeaders.includes(name.toLowerCase()))
+      .map(({ name, value }) => [name, value]);
+
+    const ResponseClass = this.ResponseClass ?? Response;
+
+    return new ResponseClass(body, { status, statusText, headers: responseHeaders });
+  }
+}
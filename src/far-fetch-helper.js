@@ -1,3 +1,20 @@
+import FarFetchParams from './far-fetch-params';
+
+/**
+ * Statuses that never have a body.
+ * {@link https://fetch.spec.whatwg.org/#null-body-status}
+ */
+export const nullBodyStatuses = [101, 204, 205, 304];
+
+/** Lowercase names of the headers redacted by errors and HAR recordings, as they hold secrets. */
+export const sensitiveHeaders = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+];
+
 /** FarFetch helper class. */
 export default class FarFetchHelper {
   /**
@@ -36,45 +53,131 @@ export default class FarFetchHelper {
     return /^[a-zA-Z][a-zA-Z\d+\-.]*:/.test(url);
   }
 
+  /**
+   * Checks if value is a Blob, which includes File.
+   *
+   * @param {*} value - The value to check.
+   * @returns {boolean} Whether or not value is a Blob.
+   */
+  static isBlob(value) {
+    return typeof Blob !== 'undefined' && value instanceof Blob;
+  }
+
+  /**
+   * Checks if value is a FormData. Always false where FormData doesn't exist.
+   *
+   * @param {*} value - The value to check.
+   * @returns {boolean}
+   */
+  static isFormData(value) {
+    return typeof FormData !== 'undefined' && value instanceof FormData;
+  }
+
+  /**
+   * Checks if data has a Blob, File, Buffer or stream at any depth, so it needs to be sent as
+   * FormData.
+   *
+   * @param {Object.<string, *>} data - The data.
+   * @returns {boolean}
+   */
+  static hasBinary(data) {
+    return FarFetchParams.flatten(data, 'indices').some(([, value]) => (
+      FarFetchParams.isBinary(value)
+    ));
+  }
+
+  /**
+   * Append a single value to FormData. Files keep their file name and other binary values are
+   * named `blob`, while other values are strings. Buffers are appended as a Blob, as native
+   * FormData would turn them into a string otherwise.
+   *
+   * @param {FormData} formData - The FormData.
+   * @param {string} key - The key.
+   * @param {*} value - The value.
+   * @throws {TypeError} Error when appending a stream to a FormData that doesn't support them.
+   */
+  static appendFormData(formData, key, value) {
+    // The form-data package, used with node-fetch, supports Buffers and streams as is
+    const isNodeFormData = typeof formData.getHeaders === 'function';
+
+    if (FarFetchHelper.isBlob(value) || (isNodeFormData && FarFetchParams.isBinary(value))) {
+      formData.append(key, value);
+    } else if (FarFetchParams.isStream(value)) {
+      throw new TypeError(`Stream '${key}' can't be appended to FormData. Use a Blob, or the form-data package.`);
+    } else if (FarFetchParams.isBinary(value)) {
+      formData.append(key, new Blob([value]));
+    } else {
+      formData.append(key, FarFetchParams.stringify(value));
+    }
+  }
 
   /**
    * Creates FormData for file uploads.
    *
    * @param {Object} options
-   * @param {File|File[]|Object.<string, File>|Object.<string, File[]>} options.files - Files to
+   * @param {File|File[]|Object.<string, File>|Object.<string, File[]>} [options.files] - Files to
    * upload to server. Will use `file` as key if literal and `files[]` if array;
-   * if object, will use properties as keys.
-   * @param {Object.<string, string|number|null|boolean|Array|Object>} [options.data = {}] - Data
-   * sent to server on request. Will use `body` for: POST, PUT, PATCH and `URL query params string`
-   * for: GET, HEAD, DELETE.
+   * if object, will use properties as keys. Blobs, Buffers and streams work too.
+   * @param {Object.<string, *>|FormData} [options.data = {}] - Data sent to server on request.
+   * Nested objects and arrays are serialized according to `formDataSerializer`. A FormData is
+   * copied as is.
+   * @param {ParamsSerializer} [options.formDataSerializer = 'brackets'] - How nested objects and
+   * arrays are serialized. A function receives the data and returns the FormData.
    * @returns {FormData}
+   * @throws {TypeError} Error when FormData doesn't exist in this environment.
    */
-  static createFormData({ files, data }) {
-    const formData = new FormData();
+  static createFormData({ files, data = {}, formDataSerializer = 'brackets' }) {
+    if (typeof FormData === 'undefined') {
+      throw new TypeError('FormData is not available. Use Node 18 or later, or a global FormData polyfill.');
+    }
 
-    Object.keys(data).forEach((key) => {
-      formData.append(key, data[key]); // Add parameters to formData
-    });
+    let formData = new FormData();
+
+    if (FarFetchHelper.isFormData(data)) {
+      // Copy, so appending files doesn't change the FormData passed in
+      data.forEach((value, key) => formData.append(key, value));
+    } else if (typeof formDataSerializer === 'function') {
+      formData = formDataSerializer(data);
+    } else if (formDataSerializer === 'json') {
+      Object.entries(data).forEach(([key, value]) => {
+        if (value === undefined) return;
+
+        if (FarFetchParams.isScalar(value)) {
+          FarFetchHelper.appendFormData(formData, key, value);
+        } else {
+          formData.append(key, JSON.stringify(value));
+        }
+      });
+    } else {
+      FarFetchParams.flatten(data, formDataSerializer).forEach(([key, value]) => {
+        const joinedValue = Array.isArray(value)
+          ? value.map((item) => FarFetchParams.stringify(item)).join(',')
+          : value;
 
-    if (files instanceof File) { // Single, unnamed file
+        FarFetchHelper.appendFormData(formData, key, joinedValue);
+      });
+    }
+
+    if (FarFetchParams.isBinary(files)) { // Single, unnamed file
       const file = files; // Set to be more readable and consistent, as it's singular
 
-      formData.append('file', file);
+      FarFetchHelper.appendFormData(formData, 'file', file);
     } else if (Array.isArray(files)) { // NOT specifying a name if array
       files.forEach((file) => {
-        formData.append('files[]', file); // Server-side page will have a file array
+        // Server-side page will have a file array
+        FarFetchHelper.appendFormData(formData, 'files[]', file);
       });
     } else if (FarFetchHelper.isPlainObject(files)) { // IS specifying a name if object
       Object.keys(files).forEach((key) => {
         const propFiles = files[key]; // Each object property representing distinct file category
 
-        if (propFiles instanceof File) { // Single, unnamed file
+        if (FarFetchParams.isBinary(propFiles)) { // Single, unnamed file
           const propFile = propFiles; // Set to be more readable and consistent, as it's singular
 
-          formData.append(key, propFile);
+          FarFetchHelper.appendFormData(formData, key, propFile);
         } else if (Array.isArray(propFiles)) { // Array of files for object property
           propFiles.forEach((propFile) => {
-            formData.append(`${key}[]`, propFile);
+            FarFetchHelper.appendFormData(formData, `${key}[]`, propFile);
           });
         }
       });
@@ -84,22 +187,50 @@ export default class FarFetchHelper {
   }
 
   /**
-   * Convert an object to a query string, even if the value is an object or array.
+   * Error thrown by Fetch API when a request is aborted, which transports throw as well.
    *
-   * @param {Object} object - Object to convert to query string.
-   * @returns {string} Query string or empty string, if object is empty
+   * @param {string} [message = 'The operation was aborted.'] - The error message.
+   * @returns {Error} Error named `AbortError`.
    */
-  static objectToQueryString(object) {
-    if (Object.keys(object).length > 0) {
-      const dataStringified = Object.entries(object).map(([key, value]) => {
-        const valueStringified = typeof value === 'object' ? JSON.stringify(value) : value;
+  static abortError(message = 'The operation was aborted.') {
+    const error = new Error(message);
 
-        return [key, valueStringified];
-      });
+    error.name = 'AbortError';
 
-      return `?${new URLSearchParams(dataStringified)}`;
-    }
+    return error;
+  }
 
-    return '';
+  /**
+   * Wait for an amount of time, unless the signal is aborted meanwhile.
+   *
+   * @param {number} ms - Amount of milliseconds to wait.
+   * @param {AbortSignal} [signal] - Signal to stop waiting.
+   * @returns {Promise<void>}
+   * @throws {Error} Error named `AbortError` when the signal is aborted, like Fetch API.
+   */
+  static sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(FarFetchHelper.abortError());
+
+        return;
+      }
+
+      let timeoutID;
+
+      const onAbort = () => {
+        clearTimeout(timeoutID);
+
+        reject(FarFetchHelper.abortError());
+      };
+
+      timeoutID = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+
+        resolve();
+      }, ms);
+
+      if (signal) signal.addEventListener('abort', onAbort);
+    });
   }
 }
@@ -0,0 +1,342 @@
+import FarFetchHelper from './far-fetch-helper';
+import FarFetchURL from './far-fetch-url';
+import FarFetchError from './far-fetch-error';
+
+/**
+ * Reply of a mocked route. A number is the status of an empty reply.
+ *
+ * @typedef {Object} MockReply
+ * @property {number} [status = 200] - Status code of the response.
+ * @property {string} [statusText] - Status text of the response.
+ * @property {Object.<string, string>} [headers = {}] - Headers of the response.
+ * @property {*} [json] - Body sent as JSON, with an `application/json` content type by default.
+ * @property {string|Blob|ArrayBuffer} [body] - Body sent as is, when `json` isn't set.
+ * @property {number} [delay = 0] - Amount of milliseconds before replying. The request can time
+ * out or be cancelled meanwhile.
+ * @property {boolean|Error} [networkError] - Fail as if the server couldn't be reached, with the
+ * error given or a `TypeError` like browsers.
+ */
+
+/**
+ * Request received by the mock.
+ *
+ * @typedef {Object} MockCall
+ * @property {string} method - The CRUD method.
+ * @property {string} url - The full URL.
+ * @property {Object.<string, string>} query - The query params.
+ * @property {Object.<string, string>} headers - The headers, with lowercase names.
+ * @property {*} body - The body, as sent to Fetch API.
+ * @property {*} json - The body parsed, if it's a JSON string.
+ * @property {RequestInit} options - Init options from Fetch API.
+ * @property {boolean} matched - Did a route reply to the request?
+ */
+
+/**
+ * Reply a mocked route with.
+ *
+ * @callback mockReplyCallback
+ * @param {MockCall} call - The request.
+ * @returns {MockReply|number|Promise<MockReply|number>}
+ */
+
+/**
+ * Path params and wildcards in a URL pattern, like `:id`, `{id}` or `*`.
+ */
+const placeholderPattern = /(:[A-Za-z_$][\w$]*|\{[^{}/]+\}|\*)/;
+
+/**
+ * Headers of a request as an object, with lowercase names.
+ *
+ * @param {Headers|Object.<string, string>} [headers = {}] - The headers.
+ * @returns {Object.<string, string>}
+ */
+const plainHeaders = (headers = {}) => {
+  const entries = typeof headers.forEach === 'function' && !Array.isArray(headers)
+    ? [...headers.entries()]
+    : Object.entries(headers);
+
+  return Object.fromEntries(entries.map(([name, value]) => [name.toLowerCase(), value]));
+};
+
+/**
+ * Transport that replies to requests with mocked routes instead of sending them, for testing code
+ * that uses FarFetch. Pass it in the `fetch` option, or create the FarFetch object with
+ * `FarFetch.mock()`. Requests that no route matches fail with an `ENOMOCK` error.
+ */
+export default class MockTransport {
+  /**
+   * @param {Object} [options = {}]
+   * @param {string} [options.baseURL = ''] - Base URL of relative route patterns. Patterns without
+   * it match the path of any origin.
+   * @param {function(new:Response, *, ResponseInit)} [options.Response = Response] - Response
+   * class of the replies, for environments without Fetch API.
+   */
+  constructor({ baseURL = '', Response: ResponseClass } = {}) {
+    this.baseURL = baseURL;
+    this.ResponseClass = ResponseClass;
+    this.routes = [];
+    this.history = [];
+
+    /**
+     * Fetch API implementation replying with the routes. Bound, so it can be passed around.
+     *
+     * @type {function(string, RequestInit=): Promise<Response>}
+     */
+    this.fetch = (url, options) => this.reply(url, options);
+  }
+
+  /**
+   * Add a route. Routes are matched in the order they were added.
+   *
+   * @param {string} method - The CRUD method, or `*` for any.
+   * @param {string|RegExp} pattern - URL pattern. Strings match the path, or the whole URL if
+   * absolute, where `:name`, `{name}` and `*` are wildcards. Query params in the pattern must be
+   * in the request, while others are ignored. Regular expressions are tested against the full URL.
+   * @param {MockReply|number|mockReplyCallback} [reply = 200] - The reply.
+   * @param {Object} [options = {}]
+   * @param {number} [options.times = Infinity] - Amount of requests the route replies to.
+   * @returns {MockTransport} The mock, for chaining.
+   *
+   * @example
+   * ff.mock.on('GET', '/users/:id', ({ url }) => ({ json: { id: url.split('/').pop() } }));
+   */
+  on(method, pattern, reply = 200, { times = Infinity } = {}) {
+    this.routes.push({
+      method: method.toUpperCase(),
+      pattern,
+      reply,
+      times,
+    });
+
+    return this;
+  }
+
+  /**
+   * Add a GET route. Same as `on('GET', pattern, reply, options)`.
+   *
+   * @param {string|RegExp} pattern - URL pattern.
+   * @param {MockReply|number|mockReplyCallback} [reply] - The reply.
+   * @param {Object} [options]
+   * @returns {MockTransport}
+   *
+   * @example
+   * ff.mock.get('/users', { json: [{ id: 1, name: 'Ada' }] });
+   */
+  get(pattern, reply, options) {
+    return this.on('GET', pattern, reply, options);
+  }
+
+  /**
+   * Add a POST route. Same as `on('POST', pattern, reply, options)`.
+   *
+   * @param {string|RegExp} pattern - URL pattern.
+   * @param {MockReply|number|mockReplyCallback} [reply] - The reply.
+   * @param {Object} [options]
+   * @returns {MockTransport}
+   */
+  post(pattern, reply, options) {
+    return this.on('POST', pattern, reply, options);
+  }
+
+  /**
+   * Add a PUT route. Same as `on('PUT', pattern, reply, options)`.
+   *
+   * @param {string|RegExp} pattern - URL pattern.
+   * @param {MockReply|number|mockReplyCallback} [reply] - The reply.
+   * @param {Object} [options]
+   * @returns {MockTransport}
+   */
+  put(pattern, reply, options) {
+    return this.on('PUT', pattern, reply, options);
+  }
+
+  /**
+   * Add a PATCH route. Same as `on('PATCH', pattern, reply, options)`.
+   *
+   * @param {string|RegExp} pattern - URL pattern.
+   * @param {MockReply|number|mockReplyCallback} [reply] - The reply.
+   * @param {Object} [options]
+   * @returns {MockTransport}
+   */
+  patch(pattern, reply, options) {
+    return this.on('PATCH', pattern, reply, options);
+  }
+
+  /**
+   * Add a DELETE route. Same as `on('DELETE', pattern, reply, options)`.
+   *
+   * @param {string|RegExp} pattern - URL pattern.
+   * @param {MockReply|number|mockReplyCallback} [reply] - The reply.
+   * @param {Object} [options]
+   * @returns {MockTransport}
+   */
+  delete(pattern, reply, options) {
+    return this.on('DELETE', pattern, reply, options);
+  }
+
+  /**
+   * Add a HEAD route. Same as `on('HEAD', pattern, reply, options)`.
+   *
+   * @param {string|RegExp} pattern - URL pattern.
+   * @param {MockReply|number|mockReplyCallback} [reply] - The reply.
+   * @param {Object} [options]
+   * @returns {MockTransport}
+   */
+  head(pattern, reply, options) {
+    return this.on('HEAD', pattern, reply, options);
+  }
+
+  /**
+   * Requests received, including the ones no route matched.
+   *
+   * @param {string|RegExp} [pattern] - Only the requests matching this URL pattern.
+   * @param {string} [method] - Only the requests with this CRUD method.
+   * @returns {MockCall[]} The requests, in the order they were received.
+   *
+   * @example
+   * expect(ff.mock.calls('/users', 'POST')[0].json).toEqual({ name: 'Ada' });
+   */
+  calls(pattern, method) {
+    return this.history.filter((call) => (
+      (pattern === undefined || this.matches(pattern, call.url))
+      && (method === undefined || call.method === method.toUpperCase())
+    ));
+  }
+
+  /**
+   * Remove every route and recorded request.
+   *
+   * @returns {MockTransport} The mock, for chaining.
+   */
+  reset() {
+    this.routes = [];
+    this.history = [];
+
+    return this;
+  }
+
+  /**
+   * Does a URL match a route pattern?
+   *
+   * @private
+   * @param {string|RegExp} pattern - URL pattern.
+   * @param {string} url - The full URL.
+   * @returns {boolean}
+   */
+  matches(pattern, url) {
+    const requestURL = new URL(url, FarFetchURL.documentURL ?? undefined);
+
+    if (pattern instanceof RegExp) {
+      pattern.lastIndex = 0; // eslint-disable-line no-param-reassign
+
+      return pattern.test(requestURL.href);
+    }
+
+    const { path, query } = FarFetchURL.split(FarFetchURL.join(this.baseURL, pattern));
+
+    const isAbsolute = FarFetchHelper.isAbsoluteURL(path);
+
+    const source = path.split(placeholderPattern).map((part, index) => {
+      // Odd parts are the placeholders captured by the split
+      if (index % 2 === 0) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+      return part === '*' ? '.*' : '[^/]+';
+    }).join('');
+
+    const target = isAbsolute
+      ? `${requestURL.origin}${requestURL.pathname}`
+      : requestURL.pathname;
+
+    if (!new RegExp(`^${isAbsolute || source.startsWith('/') ? '' : '/'}${source}$`).test(target)) {
+      return false;
+    }
+
+    return [...new URLSearchParams(query)].every(([name, value]) => (
+      requestURL.searchParams.getAll(name).includes(value)
+    ));
+  }
+
+  /**
+   * Reply to a request with the first route matching it.
+   *
+   * @private
+   * @param {string} url - The full URL.
+   * @param {RequestInit} [options = {}] - Init options from Fetch API.
+   * @returns {Promise<Response>}
+   * @throws {FarFetchError} Error with an `ENOMOCK` code when no route matches the request.
+   */
+  async reply(url, options = {}) {
+    const method = (options.method ?? 'GET').toUpperCase();
+
+    let json;
+
+    try {
+      json = typeof options.body === 'string' ? JSON.parse(options.body) : undefined;
+    } catch (error) {
+      json = undefined;
+    }
+
+    const call = {
+      method,
+      url,
+      query: Object.fromEntries(new URL(url, FarFetchURL.documentURL ?? undefined).searchParams),
+      headers: plainHeaders(options.headers),
+      body: options.body,
+      json,
+      options,
+      matched: false,
+    };
+
+    this.history.push(call);
+
+    const route = this.routes.find((candidate) => candidate.times > 0
+      && (candidate.method === '*' || candidate.method === method)
+      && this.matches(candidate.pattern, url));
+
+    if (!route) {
+      throw new FarFetchError({
+        message: `No mock route matches ${method} ${url}.`,
+        code: 'ENOMOCK',
+      });
+    }
+
+    route.times -= 1;
+    call.matched = true;
+
+    let reply = typeof route.reply === 'function' ? await route.reply(call) : route.reply;
+
+    if (typeof reply === 'number') reply = { status: reply };
+
+    const {
+      status = 200,
+      statusText,
+      headers = {},
+      json: replyJSON,
+      body,
+      delay = 0,
+      networkError,
+    } = reply ?? {};
+
+    if (delay) await FarFetchHelper.sleep(delay, options.signal);
+
+    if (networkError) {
+      throw networkError instanceof Error ? networkError : new TypeError('Failed to fetch');
+    }
+
+    const responseHeaders = { ...headers };
+
+    let responseBody = body ?? null;
+
+    if (replyJSON !== undefined) {
+      responseBody = JSON.stringify(replyJSON);
+
+      if (!Object.keys(headers).some((name) => name.toLowerCase() === 'content-type')) {
+        responseHeaders['Content-Type'] = 'application/json';
+      }
+    }
+
+    const ResponseClass = this.ResponseClass ?? Response;
+
+    return new ResponseClass(responseBody, { status, statusText, headers: responseHeaders });
+  }
+}
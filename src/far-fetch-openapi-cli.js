@@ -0,0 +1,60 @@
+import fs from 'fs';
+
+import FarFetchOpenAPI from './far-fetch-openapi';
+
+const usage = `Usage: far-fetch-openapi <spec.json> [--out <file.d.ts>]
+
+Generates TypeScript declarations of the client that FarFetch.fromOpenAPI()
+creates from a local OpenAPI 3 document in JSON. Prints them if --out is
+missing.`;
+
+/**
+ * Run the OpenAPI declarations generator.
+ *
+ * @param {string[]} args - Command line arguments, without the node and script paths.
+ * @param {Object} [io = {}]
+ * @param {function(string)} [io.log = console.log] - Prints a message.
+ * @param {function(string)} [io.error = console.error] - Prints an error.
+ * @returns {number} Exit code.
+ */
+export default function cli(args, { log = console.log, error = console.error } = {}) {
+  const outIndex = args.findIndex((arg) => arg === '--out' || arg === '-o');
+
+  const out = outIndex === -1 ? undefined : args[outIndex + 1];
+
+  const [specPath] = args.filter((arg, index) => (
+    outIndex === -1 || (index !== outIndex && index !== outIndex + 1)
+  ));
+
+  if (args.includes('--help') || args.includes('-h')) {
+    log(usage);
+
+    return 0;
+  }
+
+  if (!specPath || (outIndex !== -1 && !out)) {
+    error(usage);
+
+    return 1;
+  }
+
+  try {
+    const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+
+    const declarations = FarFetchOpenAPI.declarations(spec);
+
+    if (out) {
+      fs.writeFileSync(out, declarations);
+
+      log(`Wrote ${out}`);
+    } else {
+      log(declarations);
+    }
+
+    return 0;
+  } catch (e) {
+    error(`Failed to generate declarations from ${specPath}: ${e.message}`);
+
+    return 1;
+  }
+}
@@ -0,0 +1,465 @@
+import { ValidationError } from './far-fetch-error';
+
+/**
+ * Operation of an OpenAPI document, with its references resolved.
+ *
+ * @typedef {Object} OpenAPIOperation
+ * @property {string} name - Name of the client method, from the `operationId` if present.
+ * @property {'GET'|'POST'|'PUT'|'PATCH'|'DELETE'|'HEAD'|'OPTIONS'} method - The CRUD method.
+ * @property {string} path - The path, with `{name}` placeholders.
+ * @property {Object[]} parameters - Path, query and header parameter objects.
+ * @property {Object|null} requestBody - The request body object, or null if none.
+ * @property {Object|null} responseSchema - Schema of the successful response body, or null if none.
+ * @property {string|null} responseContentType - Content type of the successful response body.
+ * @property {string} [summary] - Summary of the operation.
+ */
+
+/** Methods of a path item, in order. */
+const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+/**
+ * Checks if a content type is JSON, including structured syntax suffixes like `+json`.
+ *
+ * @param {string} contentType - The content type.
+ * @returns {boolean}
+ */
+const isJSON = (contentType) => /^application\/(.+\+)?json(;|$)/i.test(contentType);
+
+/**
+ * Checks if a schema is a file.
+ *
+ * @param {Object} [schema] - The schema.
+ * @returns {boolean}
+ */
+const isBinary = (schema) => schema?.type === 'string' && schema.format === 'binary';
+
+/**
+ * Words of a string, split on anything that isn't a letter or digit.
+ *
+ * @param {string} value - The string.
+ * @returns {string[]} The words.
+ */
+const words = (value) => value.split(/[^A-Za-z0-9]+/).filter(Boolean);
+
+/**
+ * Uppercase first letter of a string.
+ *
+ * @param {string} value - The string.
+ * @returns {string}
+ */
+const capitalize = (value) => `${value.charAt(0).toUpperCase()}${value.slice(1)}`;
+
+/** FarFetch OpenAPI 3 client and TypeScript declarations generator. */
+export default class FarFetchOpenAPI {
+  /**
+   * Value of a local reference, like `#/components/schemas/User`. References to other files
+   * aren't supported, so everything stays offline.
+   *
+   * @param {Object} spec - The OpenAPI document.
+   * @param {Object} object - Object which may be a reference.
+   * @returns {Object} The referenced object, or the object itself if it isn't a reference.
+   * @throws {ValidationError} Error when the reference isn't local or doesn't exist.
+   */
+  static resolveRef(spec, object) {
+    if (!object?.$ref) return object;
+
+    const { $ref } = object;
+
+    if (!$ref.startsWith('#/')) {
+      throw new ValidationError(`Only local references are supported, got '${$ref}'.`, { $ref });
+    }
+
+    const value = $ref.slice(2).split('/').reduce((parent, segment) => (
+      parent?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')]
+    ), spec);
+
+    if (value === undefined) {
+      throw new ValidationError(`Reference '${$ref}' doesn't exist.`, { $ref });
+    }
+
+    return FarFetchOpenAPI.resolveRef(spec, value);
+  }
+
+  /**
+   * Name of a client method or type, in camel case.
+   *
+   * @param {string} value - The name, like an `operationId`.
+   * @returns {string} Valid JavaScript identifier.
+   *
+   * @example
+   * FarFetchOpenAPI.identifier('get-user_by id'); // 'getUserById'
+   */
+  static identifier(value) {
+    const name = words(value)
+      .map((word, index) => (index === 0 ? word : capitalize(word)))
+      .join('');
+
+    return /^[0-9]/.test(name) ? `_${name}` : name;
+  }
+
+  /**
+   * Name of the client method of an operation without `operationId`.
+   *
+   * @param {string} method - The lowercase method.
+   * @param {string} path - The path.
+   * @returns {string}
+   *
+   * @example
+   * FarFetchOpenAPI.operationName('get', '/users/{id}/posts'); // 'getUsersByIdPosts'
+   */
+  static operationName(method, path) {
+    const segments = path.split('/').filter(Boolean).map((segment) => (
+      segment.replace(/^\{(.+)\}$/, 'by $1')
+    ));
+
+    return FarFetchOpenAPI.identifier([method, ...segments].join(' '));
+  }
+
+  /**
+   * URL of the first server, with its variables replaced by their default value.
+   *
+   * @param {Object} spec - The OpenAPI document.
+   * @returns {string} The URL, or empty string if there are no servers.
+   */
+  static serverURL(spec) {
+    const server = spec.servers?.[0];
+
+    if (!server) return '';
+
+    return server.url.replace(/\{([^}]+)\}/g, (match, name) => (
+      server.variables?.[name]?.default ?? match
+    ));
+  }
+
+  /**
+   * Every operation of an OpenAPI document.
+   *
+   * @param {Object} spec - The OpenAPI document.
+   * @returns {OpenAPIOperation[]}
+   * @throws {ValidationError} Error when the document isn't OpenAPI 3 or has a duplicate operation
+   * name.
+   */
+  static operations(spec) {
+    if (!/^3\./.test(spec?.openapi ?? '')) {
+      throw new ValidationError('Only OpenAPI 3 documents are supported.');
+    }
+
+    const names = new Set();
+
+    return [].concat(...Object.entries(spec.paths ?? {}).map(([path, pathItemOrRef]) => {
+      const pathItem = FarFetchOpenAPI.resolveRef(spec, pathItemOrRef);
+
+      return methods.filter((method) => pathItem[method]).map((method) => {
+        const operation = pathItem[method];
+
+        const name = operation.operationId
+          ? FarFetchOpenAPI.identifier(operation.operationId)
+          : FarFetchOpenAPI.operationName(method, path);
+
+        if (names.has(name)) {
+          throw new ValidationError(`Duplicate operation '${name}'.`, { operation: name });
+        }
+
+        names.add(name);
+
+        // Operation parameters override path item parameters with the same name and location
+        const parameters = [...(pathItem.parameters ?? []), ...(operation.parameters ?? [])]
+          .map((parameter) => FarFetchOpenAPI.resolveRef(spec, parameter))
+          .filter((parameter, index, all) => !all.slice(index + 1).some((other) => (
+            other.name === parameter.name && other.in === parameter.in
+          )));
+
+        const responses = operation.responses ?? {};
+
+        const successStatus = Object.keys(responses).sort().find((status) => /^2/.test(status))
+          ?? (responses.default ? 'default' : undefined);
+
+        const response = FarFetchOpenAPI.resolveRef(spec, responses[successStatus]);
+
+        const [responseContentType = null] = Object.keys(response?.content ?? {});
+
+        return {
+          name,
+          method: method.toUpperCase(),
+          path,
+          parameters,
+          requestBody: FarFetchOpenAPI.resolveRef(spec, operation.requestBody) ?? null,
+          responseSchema: response?.content?.[responseContentType]?.schema ?? null,
+          responseContentType,
+          summary: operation.summary,
+        };
+      });
+    }));
+  }
+
+  /**
+   * Content type of a request body, preferring JSON.
+   *
+   * @param {Object} requestBody - The request body object.
+   * @returns {string}
+   */
+  static requestContentType(requestBody) {
+    const contentTypes = Object.keys(requestBody.content ?? {});
+
+    return contentTypes.find(isJSON) ?? contentTypes[0] ?? 'application/json';
+  }
+
+  /**
+   * Options of `FarFetch.fetch()` for the params of an operation. Path params become
+   * `pathParams`, query params `URLParams`, header params `headers` and the `body` param `data`.
+   * Binary properties of multipart bodies become `files`.
+   *
+   * @param {Object} spec - The OpenAPI document.
+   * @param {OpenAPIOperation} operation - The operation.
+   * @param {Object.<string, *>} [params = {}] - Params by name, and the request body as `body`.
+   * @returns {RequestOptions}
+   */
+  static requestOptions(spec, operation, params = {}) {
+    const options = {
+      pathParams: {},
+      URLParams: {},
+      headers: {},
+    };
+
+    operation.parameters.forEach((parameter) => {
+      const value = params[parameter.name];
+
+      if (value === undefined) return;
+
+      if (parameter.in === 'path') {
+        options.pathParams[parameter.name] = value;
+      } else if (parameter.in === 'query') {
+        options.URLParams[parameter.name] = value;
+      } else if (parameter.in === 'header') {
+        options.headers[parameter.name] = String(value);
+      }
+    });
+
+    const { body } = params;
+
+    if (!operation.requestBody || body === undefined) return options;
+
+    const contentType = FarFetchOpenAPI.requestContentType(operation.requestBody);
+
+    if (contentType === 'multipart/form-data') {
+      const schema = FarFetchOpenAPI.resolveRef(
+        spec,
+        operation.requestBody.content[contentType].schema,
+      );
+
+      const data = {};
+      const files = {};
+
+      Object.entries(body).forEach(([key, value]) => {
+        const propertySchema = FarFetchOpenAPI.resolveRef(spec, schema?.properties?.[key]);
+
+        if (isBinary(propertySchema) || isBinary(propertySchema?.items)) {
+          files[key] = value;
+        } else {
+          data[key] = value;
+        }
+      });
+
+      // Files are always passed in, even empty, so it's sent as multipart
+      return { ...options, data, files };
+    }
+
+    if (contentType === 'application/x-www-form-urlencoded') {
+      options.headers['Content-Type'] = contentType;
+
+      return { ...options, data: body };
+    }
+
+    if (isJSON(contentType)) return { ...options, data: body };
+
+    // Anything else, like `application/octet-stream`, is sent as is
+    options.headers['Content-Type'] = contentType;
+
+    return { ...options, body };
+  }
+
+  /**
+   * Client with a method for each operation, which takes the params of the operation and the
+   * options of `FarFetch.fetch()`.
+   *
+   * @param {FarFetch} ff - The FarFetch object making the requests.
+   * @param {Object} spec - The OpenAPI document.
+   * @returns {Object.<string, function(Object=, RequestOptions=): Promise<ResponsePlus>>}
+   */
+  static client(ff, spec) {
+    const client = {};
+
+    FarFetchOpenAPI.operations(spec).forEach((operation) => {
+      client[operation.name] = (params, options = {}) => {
+        const requestOptions = FarFetchOpenAPI.requestOptions(spec, operation, params);
+
+        return ff.fetch(operation.path, {
+          ...requestOptions,
+          ...options,
+          headers: { ...requestOptions.headers, ...options.headers },
+          method: operation.method,
+        });
+      };
+    });
+
+    return client;
+  }
+
+  /**
+   * TypeScript type of a schema.
+   *
+   * @param {Object} [schema] - The schema.
+   * @param {string} [indent = ''] - Indentation of the line the type starts on.
+   * @returns {string}
+   */
+  static typeOf(schema, indent = '') {
+    if (!schema) return 'unknown';
+
+    if (schema.$ref) return capitalize(FarFetchOpenAPI.identifier(schema.$ref.split('/').pop()));
+
+    let type;
+
+    if (schema.enum) {
+      type = schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+    } else if (schema.oneOf || schema.anyOf) {
+      type = (schema.oneOf ?? schema.anyOf)
+        .map((subSchema) => FarFetchOpenAPI.typeOf(subSchema, indent))
+        .join(' | ');
+    } else if (schema.allOf) {
+      type = schema.allOf.map((subSchema) => FarFetchOpenAPI.typeOf(subSchema, indent)).join(' & ');
+    } else if (Array.isArray(schema.type)) { // OpenAPI 3.1 type array
+      type = schema.type
+        .map((subType) => FarFetchOpenAPI.typeOf({ ...schema, type: subType }, indent))
+        .join(' | ');
+    } else if (schema.type === 'string') {
+      type = isBinary(schema) ? 'Blob' : 'string';
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+      type = 'number';
+    } else if (schema.type === 'boolean' || schema.type === 'null') {
+      type = schema.type;
+    } else if (schema.type === 'array') {
+      type = `Array<${FarFetchOpenAPI.typeOf(schema.items, indent)}>`;
+    } else if (schema.type === 'object' || schema.properties) {
+      type = FarFetchOpenAPI.objectType(schema, indent);
+    } else {
+      type = 'unknown';
+    }
+
+    return schema.nullable ? `${type} | null` : type;
+  }
+
+  /**
+   * TypeScript type of an object schema.
+   *
+   * @param {Object} schema - The schema.
+   * @param {string} [indent = ''] - Indentation of the line the type starts on.
+   * @returns {string}
+   */
+  static objectType(schema, indent = '') {
+    const required = schema.required ?? [];
+
+    const lines = Object.entries(schema.properties ?? {}).map(([name, propertySchema]) => {
+      const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+      const optional = required.includes(name) ? '' : '?';
+
+      return `${indent}  ${key}${optional}: ${FarFetchOpenAPI.typeOf(propertySchema, `${indent}  `)};`;
+    });
+
+    const { additionalProperties } = schema;
+
+    if (additionalProperties) {
+      const valueType = additionalProperties === true
+        ? 'unknown'
+        : FarFetchOpenAPI.typeOf(additionalProperties, `${indent}  `);
+
+      lines.push(`${indent}  [key: string]: ${valueType};`);
+    }
+
+    return lines.length > 0 ? `{\n${lines.join('\n')}\n${indent}}` : 'Record<string, unknown>';
+  }
+
+  /**
+   * TypeScript declarations of an OpenAPI document, with a type for each schema, the params and
+   * response of each operation, and the client.
+   *
+   * @param {Object} spec - The OpenAPI document.
+   * @returns {string} Contents of the `.d.ts` file.
+   */
+  static declarations(spec) {
+    const operations = FarFetchOpenAPI.operations(spec);
+
+    const schemas = Object.entries(spec.components?.schemas ?? {}).map(([name, schema]) => (
+      `export type ${capitalize(FarFetchOpenAPI.identifier(name))} = ${FarFetchOpenAPI.typeOf(schema)};`
+    ));
+
+    const operationTypes = operations.map((operation) => {
+      const typeName = capitalize(operation.name);
+
+      const params = operation.parameters
+        .filter((parameter) => ['path', 'query', 'header'].includes(parameter.in))
+        .map((parameter) => ({
+          name: parameter.name,
+          required: parameter.in === 'path' || Boolean(parameter.required),
+          schema: parameter.schema,
+        }));
+
+      if (operation.requestBody) {
+        const contentType = FarFetchOpenAPI.requestContentType(operation.requestBody);
+
+        params.push({
+          name: 'body',
+          required: Boolean(operation.requestBody.required),
+          schema: operation.requestBody.content?.[contentType]?.schema,
+        });
+      }
+
+      const paramsType = FarFetchOpenAPI.objectType({
+        properties: Object.fromEntries(params.map(({ name, schema }) => [name, schema])),
+        required: params.filter((param) => param.required).map((param) => param.name),
+      });
+
+      let responseType = 'null';
+
+      if (operation.responseContentType) {
+        responseType = isJSON(operation.responseContentType)
+          ? FarFetchOpenAPI.typeOf(operation.responseSchema)
+          : 'unknown';
+      }
+
+      return {
+        operation,
+        typeName,
+        hasRequiredParams: params.some((param) => param.required),
+        declaration: [
+          `export type ${typeName}Params = ${paramsType};`,
+          `export type ${typeName}Response = ${responseType};`,
+        ].join('\n'),
+      };
+    });
+
+    const clientMethods = operationTypes.map(({ operation, typeName, hasRequiredParams }) => {
+      const summary = operation.summary ? `  /** ${operation.summary} */\n` : '';
+
+      return `${summary}  ${operation.name}(params${hasRequiredParams ? '' : '?'}: ${typeName}Params, `
+        + `options?: Record<string, unknown>): Promise<OperationResponse<${typeName}Response>>;`;
+    });
+
+    return [
+      `// Generated from ${spec.info?.title ?? 'OpenAPI document'} ${spec.info?.version ?? ''}`.trim(),
+      '// Do not edit, as it gets overwritten.',
+      '',
+      'export type OperationResponse<T> = Response & {',
+      '  responseJSON: T | null;',
+      '  responseText: string | null;',
+      '  responseData: T | null;',
+      '};',
+      '',
+      ...(schemas.length > 0 ? [...schemas, ''] : []),
+      ...operationTypes.map(({ declaration }) => `${declaration}\n`),
+      'export interface Client {',
+      clientMethods.join('\n'),
+      '}',
+      '',
+    ].join('\n');
+  }
+}
@@ -0,0 +1,246 @@
+import { AbortError } from './far-fetch-error';
+
+/**
+ * Finds the next page of a custom pagination.
+ *
+ * @callback paginateStrategyCallback
+ * @param {ResponsePlus} response - The last page.
+ * @param {Object} state
+ * @param {number} state.page - Number of the last page, starting at 1.
+ * @param {Array} state.items - Items of the last page.
+ * @param {Object.<string, *>} state.params - Pagination params of the last page.
+ * @returns {string|Object.<string, *>|null} URL of the next page, pagination params of the next
+ * page, or null if it was the last page.
+ */
+
+/**
+ * How the next page is found. `'link'` follows the `Link: <url>; rel="next"` response header,
+ * `'cursor'` sends the cursor of the response body back, `'offset'` increments an offset param by
+ * the amount of items and `'page'` increments a page number param.
+ *
+ * @typedef {'link'|'cursor'|'offset'|'page'|paginateStrategyCallback} PaginateStrategy
+ */
+
+/**
+ * Options of `ff.paginate()`.
+ *
+ * @typedef {Object} PaginateOptions
+ * @property {PaginateStrategy} [strategy = 'link'] - How the next page is found.
+ * @property {string|function(ResponsePlus): Array} [items] - Path of the items in `responseJSON`,
+ * like `data.users`, or a function returning them. Defaults to `responseJSON` if it's an array, or
+ * its first array property.
+ * @property {boolean} [pages = false] - Yield each page, as a `ResponsePlus`, instead of its items.
+ * @property {number} [maxPages = Infinity] - Maximum amount of pages requested.
+ * @property {number} [maxItems = Infinity] - Maximum amount of items yielded. Pages are yielded
+ * until they reach it.
+ * @property {string|function(ResponsePlus): *} [cursor = 'next_cursor'] - Path of the next cursor
+ * in `responseJSON`, or a function returning it, with the `'cursor'` strategy. No cursor is the
+ * last page.
+ * @property {string} [cursorParam = 'cursor'] - Param the cursor is sent in.
+ * @property {number} [limit] - Amount of items per page, sent in `limitParam`. Defaults to 20 with
+ * the `'offset'` strategy. Pages with less items are the last one with the `'offset'` and
+ * `'page'` strategies, as are empty pages.
+ * @property {string} [limitParam = 'limit'] - Param the limit is sent in.
+ * @property {string} [offsetParam = 'offset'] - Param the offset is sent in.
+ * @property {string} [pageParam = 'page'] - Param the page number is sent in.
+ * @property {number} [startPage = 1] - Number of the first page.
+ * @property {...RequestOptions} [options] - Options of every request. Pagination params are merged
+ * in `data` for GET, HEAD and DELETE requests, or in `URLParams` otherwise or if it's set.
+ */
+
+/** Methods which `data` is sent as query params for. */
+const queryMethods = ['GET', 'HEAD', 'DELETE'];
+
+/** Links of a `Link` header, with their params. */
+const linkPattern = /<([^>]*)>([^,<]*)/g;
+
+/** FarFetch pagination helper class. */
+export default class FarFetchPaginate {
+  /**
+   * URL of a relation in an RFC 8288 (formerly RFC 5988) `Link` header.
+   *
+   * @param {string|null} header - The `Link` header value.
+   * @param {string} [rel = 'next'] - The relation.
+   * @returns {string|null} The URL, or null if there's no link with the relation.
+   */
+  static linkURL(header, rel = 'next') {
+    const link = [...(header ?? '').matchAll(linkPattern)].find(([, , params]) => {
+      const [, quoted, unquoted] = params.match(/;\s*rel\s*=\s*(?:"([^"]*)"|([^\s;]+))/i) ?? [];
+
+      return (quoted ?? unquoted ?? '').toLowerCase().split(/\s+/).includes(rel);
+    });
+
+    return link ? link[1] : null;
+  }
+
+  /**
+   * Value at a path of an object.
+   *
+   * @param {*} object - The object.
+   * @param {string} path - Dot separated path, like `meta.next_cursor`.
+   * @returns {*} The value, or undefined if missing.
+   */
+  static valueAt(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+  }
+
+  /**
+   * Items of a page.
+   *
+   * @param {ResponsePlus} response - The page.
+   * @param {string|function(ResponsePlus): Array} [items] - Path of the items in `responseJSON`, or
+   * a function returning them.
+   * @returns {Array} The items, or empty array if there are none.
+   */
+  static items(response, items) {
+    const { responseJSON } = response;
+
+    let pageItems;
+
+    if (typeof items === 'function') {
+      pageItems = items(response);
+    } else if (items) {
+      pageItems = FarFetchPaginate.valueAt(responseJSON, items);
+    } else if (Array.isArray(responseJSON)) {
+      pageItems = responseJSON;
+    } else {
+      pageItems = Object.values(responseJSON ?? {}).find((value) => Array.isArray(value));
+    }
+
+    return Array.isArray(pageItems) ? pageItems : [];
+  }
+
+  /**
+   * Request options with the pagination params merged in `data` or `URLParams`.
+   *
+   * @param {RequestOptions} options - Options of every request.
+   * @param {Object.<string, *>} params - The pagination params.
+   * @returns {RequestOptions}
+   */
+  static withParams(options, params) {
+    const { method = 'GET', data, URLParams = {} } = options;
+
+    if (queryMethods.includes(method.toUpperCase()) && Object.keys(URLParams).length === 0) {
+      return { ...options, data: { ...data, ...params } };
+    }
+
+    return { ...options, URLParams: { ...URLParams, ...params } };
+  }
+
+  /**
+   * Iterate over the items, or pages, of a paginated endpoint. Each page is requested once the
+   * items of the one before are consumed.
+   *
+   * @param {FarFetch} ff - The FarFetch object making the requests.
+   * @param {string} url - URL of the first page.
+   * @param {PaginateOptions} [options = {}] - Pagination and request options.
+   * @returns {AsyncGenerator<*>} The items, or the pages if `pages` is set.
+   * @throws {RequestException} Error of the failed page request. Requests always throw, whatever
+   * the `throwOnError` option.
+   */
+  static async* iterate(ff, url, {
+    strategy = 'link',
+    items,
+    pages = false,
+    maxPages = Infinity,
+    maxItems = Infinity,
+    cursor = 'next_cursor',
+    cursorParam = 'cursor',
+    limit = strategy === 'offset' ? 20 : undefined,
+    limitParam = 'limit',
+    offsetParam = 'offset',
+    pageParam = 'page',
+    startPage = 1,
+    ...options
+  } = {}) {
+    const requestOptions = { method: 'GET', ...options, throwOnError: true };
+
+    let params = limit === undefined ? {} : { [limitParam]: limit };
+
+    if (strategy === 'offset') params[offsetParam] = 0;
+
+    if (strategy === 'page') params[pageParam] = startPage;
+
+    let pageURL = url;
+    let pageOptions = FarFetchPaginate.withParams(requestOptions, params);
+    let pageCount = 0;
+    let itemCount = 0;
+
+    while (pageCount < maxPages && itemCount < maxItems) {
+      if (options.signal?.aborted) throw new AbortError(options.signal.reason);
+
+      // Pages are requested one after the other, as each one needs the one before
+      // eslint-disable-next-line no-await-in-loop
+      const response = await ff.fetch(pageURL, pageOptions);
+
+      pageCount += 1;
+
+      const pageItems = FarFetchPaginate.items(response, items);
+
+      if (pages) {
+        yield response;
+
+        itemCount += pageItems.length;
+      } else {
+        const yieldedItems = pageItems.slice(0, maxItems - itemCount);
+
+        yield* yieldedItems;
+
+        itemCount += yieldedItems.length;
+      }
+
+      let next = null;
+
+      if (typeof strategy === 'function') {
+        next = strategy(response, { page: pageCount, items: pageItems, params });
+      } else if (strategy === 'link') {
+        next = FarFetchPaginate.linkURL(response.headers.get('Link'));
+      } else if (strategy === 'cursor') {
+        const nextCursor = typeof cursor === 'function'
+          ? cursor(response)
+          : FarFetchPaginate.valueAt(response.responseJSON, cursor);
+
+        if (nextCursor !== undefined && nextCursor !== null && nextCursor !== '') {
+          next = { [cursorParam]: nextCursor };
+        }
+      } else if (pageItems.length > 0 && !(limit && pageItems.length < limit)) {
+        next = strategy === 'offset'
+          ? { [offsetParam]: params[offsetParam] + pageItems.length }
+          : { [pageParam]: params[pageParam] + 1 };
+      }
+
+      if (next === null || next === undefined) return;
+
+      if (typeof next === 'string') {
+        // Next URL already has every query param
+        pageURL = response.url ? new URL(next, response.url).href : next;
+        pageOptions = { ...requestOptions, data: undefined, URLParams: undefined };
+      } else {
+        params = { ...params, ...next };
+        pageOptions = FarFetchPaginate.withParams(requestOptions, params);
+      }
+    }
+  }
+
+  /**
+   * Collect every item, or page, of a paginated endpoint.
+   *
+   * @param {FarFetch} ff - The FarFetch object making the requests.
+   * @param {string} url - URL of the first page.
+   * @param {PaginateOptions} [options] - Pagination and request options.
+   * @returns {Promise<Array>} The items, or the pages if `pages` is set.
+   * @throws {RequestException}
+   */
+  static async all(ff, url, options) {
+    const iterator = FarFetchPaginate.iterate(ff, url, options);
+
+    const results = [];
+
+    // eslint-disable-next-line no-await-in-loop
+    for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+      results.push(result.value);
+    }
+
+    return results;
+  }
+}
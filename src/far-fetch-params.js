@@ -0,0 +1,167 @@
+/**
+ * How URL query params, and `application/x-www-form-urlencoded` bodies, are serialized. Arrays and
+ * objects are JSON strings with `'json'`. The other formats serialize nested objects as
+ * `a[b][c]=1` and only differ for arrays: `'brackets'` is `a[]=1&a[]=2`, `'indices'` is
+ * `a[0]=1&a[1]=2`, `'repeat'` is `a=1&a=2` and `'comma'` is `a=1,2`. A function receives the params
+ * and returns the query string.
+ *
+ * @typedef {'json'|'brackets'|'indices'|'repeat'|'comma'|function(Object): string}
+ * ParamsSerializer
+ */
+
+/**
+ * Encode a key, keeping the brackets readable.
+ *
+ * @param {string} key - The key.
+ * @returns {string} The encoded key.
+ */
+const encodeKey = (key) => encodeURIComponent(key).replace(/%5B/gi, '[').replace(/%5D/gi, ']');
+
+/** FarFetch query string serializer. */
+export default class FarFetchParams {
+  /**
+   * Checks if value is binary: a Blob, which includes File, an ArrayBuffer, a typed array, which
+   * includes Buffer, or a stream.
+   *
+   * @param {*} value - The value to check.
+   * @returns {boolean}
+   */
+  static isBinary(value) {
+    if (value === null || typeof value !== 'object') return false;
+
+    return (typeof Blob !== 'undefined' && value instanceof Blob)
+      || (typeof ArrayBuffer !== 'undefined' && (value instanceof ArrayBuffer || ArrayBuffer.isView(value)))
+      || FarFetchParams.isStream(value);
+  }
+
+  /**
+   * Checks if value is a Node or web stream.
+   *
+   * @param {*} value - The value to check.
+   * @returns {boolean}
+   */
+  static isStream(value) {
+    return typeof value?.pipe === 'function' || typeof value?.getReader === 'function';
+  }
+
+  /**
+   * Checks if value is serialized as a single value, rather than as an array or object.
+   *
+   * @param {*} value - The value to check.
+   * @returns {boolean}
+   */
+  static isScalar(value) {
+    return value === null
+      || value instanceof Date
+      || FarFetchParams.isBinary(value)
+      || typeof value !== 'object';
+  }
+
+  /**
+   * Value as a string. Dates are ISO strings and null is an empty string.
+   *
+   * @param {string|number|boolean|Date|null} value - The value.
+   * @returns {string}
+   */
+  static stringify(value) {
+    if (value instanceof Date) return value.toISOString();
+
+    if (value === null) return '';
+
+    return String(value);
+  }
+
+  /**
+   * Key and value pairs of a param, with nested arrays and objects flattened. Values are left as
+   * is, except for arrays joined by commas, which are kept as an array of their items.
+   *
+   * @param {string} key - The key.
+   * @param {*} value - The value. Undefined values are left out.
+   * @param {'brackets'|'indices'|'repeat'|'comma'} arrayFormat - How arrays are serialized.
+   * @returns {Array<Array>} Key and value pairs.
+   */
+  static entries(key, value, arrayFormat) {
+    if (value === undefined) return [];
+
+    if (FarFetchParams.isScalar(value)) return [[key, value]];
+
+    if (Array.isArray(value)) {
+      const items = value.filter((item) => item !== undefined);
+
+      if (arrayFormat === 'comma' && items.every((item) => FarFetchParams.isScalar(item))) {
+        return items.length > 0 ? [[key, items]] : [];
+      }
+
+      return [].concat(...items.map((item, index) => {
+        let itemKey = `${key}[]`;
+
+        // Objects in arrays need the index to know which properties belong together
+        if (arrayFormat === 'indices' || !FarFetchParams.isScalar(item)) {
+          itemKey = `${key}[${index}]`;
+        } else if (arrayFormat === 'repeat' || arrayFormat === 'comma') {
+          itemKey = key;
+        }
+
+        return FarFetchParams.entries(itemKey, item, arrayFormat);
+      }));
+    }
+
+    return [].concat(...Object.entries(value).map(([property, propertyValue]) => (
+      FarFetchParams.entries(`${key}[${property}]`, propertyValue, arrayFormat)
+    )));
+  }
+
+  /**
+   * Key and value pairs of params, with nested arrays and objects flattened.
+   *
+   * @param {Object.<string, *>} params - The params.
+   * @param {'brackets'|'indices'|'repeat'|'comma'} arrayFormat - How arrays are serialized.
+   * @returns {Array<Array>} Key and value pairs.
+   */
+  static flatten(params, arrayFormat) {
+    if (!['brackets', 'indices', 'repeat', 'comma'].includes(arrayFormat)) {
+      throw new TypeError(`Unknown array format '${arrayFormat}'`);
+    }
+
+    return [].concat(...Object.entries(params).map(([key, value]) => (
+      FarFetchParams.entries(key, value, arrayFormat)
+    )));
+  }
+
+  /**
+   * Serialize params to a query string.
+   *
+   * @param {Object.<string, *>} params - The params.
+   * @param {ParamsSerializer} [paramsSerializer = 'json'] - How the params are serialized.
+   * @returns {string} Query string without `?`, or empty string if there are no params.
+   *
+   * @example
+   * FarFetchParams.serialize({ ids: [1, 2], filter: { age: 5 } }, 'brackets');
+   * // 'ids[]=1&ids[]=2&filter[age]=5'
+   */
+  static serialize(params, paramsSerializer = 'json') {
+    if (typeof paramsSerializer === 'function') {
+      return (paramsSerializer(params) ?? '').replace(/^\?/, '');
+    }
+
+    if (paramsSerializer === 'json') {
+      const stringifiedParams = Object.entries(params)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [
+          key,
+          FarFetchParams.isScalar(value) ? FarFetchParams.stringify(value) : JSON.stringify(value),
+        ]);
+
+      return `${new URLSearchParams(stringifiedParams)}`;
+    }
+
+    const encode = (value) => encodeURIComponent(FarFetchParams.stringify(value));
+
+    return FarFetchParams.flatten(params, paramsSerializer).map(([key, value]) => {
+      // Commas are kept as is, as servers split the value before decoding it
+      const encodedValue = Array.isArray(value) ? value.map(encode).join(',') : encode(value);
+
+      return `${encodeKey(key)}=${encodedValue}`;
+    }).join('&');
+  }
+}
@@ -0,0 +1,181 @@
+import { nullBodyStatuses } from './far-fetch-helper';
+
+/**
+ * Callback that parses a response body.
+ *
+ * @callback parserCallback
+ * @param {Response} response - Fetch API response, which body isn't read yet.
+ * @returns {*|Promise<*>} The parsed body.
+ */
+
+/**
+ * How the response body is parsed. `'auto'` picks one from the `Content-Type` response header.
+ *
+ * @typedef {'auto'|'json'|'text'|'blob'|'arrayBuffer'|'formData'|'stream'} ResponseType
+ */
+
+/** MIME types that are text, even though they aren't `text/*`. */
+const textMimeTypes = [
+  'application/xml',
+  'application/javascript',
+  'application/ecmascript',
+  'application/x-www-form-urlencoded',
+];
+
+/** Registry of response body parsers by MIME type. */
+export default class FarFetchParsers {
+  /**
+   * @param {Object.<string, parserCallback>} [parsers = {}] - Parsers by MIME type.
+   */
+  constructor(parsers = {}) {
+    this.parsers = new Map();
+
+    Object.entries(parsers).forEach(([mimeType, parser]) => this.register(mimeType, parser));
+  }
+
+  /**
+   * MIME type of a `Content-Type` header, without its parameters.
+   *
+   * @param {string|null} contentType - The `Content-Type` header value.
+   * @returns {string} Lowercase MIME type, or empty string if missing.
+   */
+  static mimeType(contentType) {
+    return (contentType ?? '').split(';')[0].trim().toLowerCase();
+  }
+
+  /**
+   * Built-in response type of a MIME type, including structured syntax suffixes like `+json`.
+   *
+   * @param {string} mimeType - The MIME type.
+   * @returns {'json'|'text'|'blob'|null} The response type, or null if the MIME type is missing.
+   */
+  static responseType(mimeType) {
+    if (!mimeType) return null;
+
+    if (mimeType === 'application/json' || mimeType.endsWith('+json')) return 'json';
+
+    if (mimeType.startsWith('text/') || mimeType.endsWith('+xml') || textMimeTypes.includes(mimeType)) {
+      return 'text';
+    }
+
+    return 'blob';
+  }
+
+  /**
+   * Register a parser for a MIME type, used when the response type is `'auto'`. Takes precedence
+   * over the built-in parsers.
+   *
+   * @param {string} mimeType - The MIME type, like `application/x-ndjson`. A `*` subtype, like
+   * `image/*`, matches every subtype without its own parser.
+   * @param {parserCallback} parser - Parses the response body.
+   * @returns {FarFetchParsers} The registry, for chaining.
+   *
+   * @example
+   * ff.parsers.register('application/x-ndjson', async (response) => (
+   *   (await response.text()).split('\n').filter(Boolean).map((line) => JSON.parse(line))
+   * ));
+   */
+  register(mimeType, parser) {
+    if (typeof parser !== 'function') {
+      throw new TypeError('Parser must be a function.');
+    }
+
+    this.parsers.set(mimeType.toLowerCase(), parser);
+
+    return this;
+  }
+
+  /**
+   * Remove the parser of a MIME type.
+   *
+   * @param {string} mimeType - The MIME type it was registered with.
+   * @returns {FarFetchParsers} The registry, for chaining.
+   */
+  unregister(mimeType) {
+    this.parsers.delete(mimeType.toLowerCase());
+
+    return this;
+  }
+
+  /**
+   * Parser registered for a MIME type.
+   *
+   * @param {string} mimeType - The MIME type.
+   * @returns {parserCallback|undefined} The parser.
+   */
+  get(mimeType) {
+    return this.parsers.get(mimeType) ?? this.parsers.get(`${mimeType.split('/')[0]}/*`);
+  }
+
+  /**
+   * Copy of the registry, so registering parsers doesn't affect the original one.
+   *
+   * @returns {FarFetchParsers} The copy.
+   */
+  clone() {
+    const parsers = new FarFetchParsers();
+
+    parsers.parsers = new Map(this.parsers);
+
+    return parsers;
+  }
+
+  /**
+   * Parse a response body.
+   *
+   * @param {Response} response - Fetch API response, which body isn't read yet.
+   * @param {ResponseType} [responseType = 'auto'] - How the body is parsed.
+   * @param {string} [method] - The CRUD method of the request, as responses to HEAD requests have
+   * no body, whatever their headers say.
+   * @returns {Promise<{ type: string|null, data: * }>} The response type used, which is `'custom'`
+   * for registered parsers, and the parsed body. Both are null if there's nothing to parse.
+   */
+  async parse(response, responseType = 'auto', method) {
+    if (nullBodyStatuses.includes(response.status) || method?.toUpperCase() === 'HEAD') {
+      return { type: null, data: null };
+    }
+
+    if (responseType === 'stream') return { type: 'stream', data: response.body };
+
+    // Empty bodies aren't valid for most types, like JSON, so there's nothing to parse
+    if (response.headers?.get('Content-Length') === '0') return { type: null, data: null };
+
+    if (responseType !== 'auto') return FarFetchParsers.read(response, responseType);
+
+    const mimeType = FarFetchParsers.mimeType(response.headers?.get('Content-Type'));
+
+    const parser = mimeType ? this.get(mimeType) : undefined;
+
+    if (parser) return { type: 'custom', data: await parser(response) };
+
+    const type = FarFetchParsers.responseType(mimeType);
+
+    if (!type) return { type: null, data: null };
+
+    return FarFetchParsers.read(response, type);
+  }
+
+  /**
+   * Read a response body with a built-in response type. The body is only read once, and an empty
+   * one is null.
+   *
+   * @param {Response} response - Fetch API response, which body isn't read yet.
+   * @param {'json'|'text'|'blob'|'arrayBuffer'|'formData'} type - How the body is read.
+   * @returns {Promise<{ type: string|null, data: * }>} The response type, and the parsed body.
+   */
+  static async read(response, type) {
+    if (type === 'json' || type === 'text') {
+      const text = await response.text();
+
+      if (text === '') return { type: null, data: null };
+
+      return { type, data: type === 'json' ? JSON.parse(text) : text };
+    }
+
+    const data = await response[type]();
+
+    if (data.size === 0 || data.byteLength === 0) return { type: null, data: null };
+
+    return { type, data };
+  }
+}
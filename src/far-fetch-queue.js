@@ -0,0 +1,239 @@
+import FarFetchURL from './far-fetch-url';
+import { AbortError, TimeoutError } from './far-fetch-error';
+
+/**
+ * Maximum amount of requests sent at the same time. A number limits every request.
+ *
+ * @typedef {number|Object} MaxConcurrent
+ * @property {number} [global = Infinity] - Limit of every request.
+ * @property {number} [perHost = Infinity] - Limit of the requests to each host.
+ */
+
+/**
+ * Queue limiting the amount of requests sent at the same time. Queued requests are sent by
+ * priority, then in the order they were made.
+ */
+export default class FarFetchQueue {
+  /**
+   * @param {MaxConcurrent} [maxConcurrent] - Maximum amount of requests sent at the same time. No
+   * limit by default.
+   */
+  constructor(maxConcurrent) {
+    const { global = Infinity, perHost = Infinity } = typeof maxConcurrent === 'number'
+      ? { global: maxConcurrent }
+      : maxConcurrent ?? {};
+
+    this.maxConcurrent = global;
+    this.maxConcurrentPerHost = perHost;
+    this.paused = false;
+    this.queued = [];
+    this.running = 0;
+    this.runningPerHost = new Map();
+  }
+
+  /**
+   * Amount of requests waiting to be sent.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this.queued.length;
+  }
+
+  /**
+   * Amount of requests being sent.
+   *
+   * @returns {number}
+   */
+  get pending() {
+    return this.running;
+  }
+
+  /**
+   * Host of a URL, which the per host limit applies to.
+   *
+   * @param {string} url - The URL.
+   * @returns {string}
+   */
+  static host(url) {
+    return new URL(url, FarFetchURL.documentURL ?? undefined).host;
+  }
+
+  /**
+   * Run a request once there's room for it, or right away if there's no limit.
+   *
+   * @param {string} url - The full URL.
+   * @param {function(): Promise<*>} request - Sends the request.
+   * @param {Object} [options = {}]
+   * @param {number} [options.priority = 0] - Requests with a higher priority are sent first.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request while it's queued.
+   * @param {number} [options.timeout] - Amount of milliseconds the request can be queued.
+   * @returns {Promise<*>} What the request resolves to.
+   * @throws {AbortError|TimeoutError} Error when the request is cancelled, cleared from the queue
+   * or times out before being sent.
+   */
+  async run(url, request, { priority = 0, signal, timeout } = {}) {
+    const host = FarFetchQueue.host(url);
+
+    // Sent right away when there's room, without waiting for a tick, like without a queue. Queued
+    // requests are always waiting for room, so they can't be skipped.
+    if (this.hasRoom(host)) {
+      this.start(host);
+    } else {
+      await this.enqueue(host, { priority, signal, timeout });
+    }
+
+    try {
+      return await request();
+    } finally {
+      this.release(host);
+    }
+  }
+
+  /**
+   * Can a request to a host be sent now?
+   *
+   * @private
+   * @param {string} host - The host.
+   * @returns {boolean}
+   */
+  hasRoom(host) {
+    return !this.paused
+      && this.running < this.maxConcurrent
+      && (this.runningPerHost.get(host) ?? 0) < this.maxConcurrentPerHost;
+  }
+
+  /**
+   * Take a slot for a request to a host.
+   *
+   * @private
+   * @param {string} host - The host.
+   */
+  start(host) {
+    this.running += 1;
+    this.runningPerHost.set(host, (this.runningPerHost.get(host) ?? 0) + 1);
+  }
+
+  /**
+   * Free the slot of a request to a host, then send the next queued requests.
+   *
+   * @private
+   * @param {string} host - The host.
+   */
+  release(host) {
+    this.running -= 1;
+
+    const running = this.runningPerHost.get(host) - 1;
+
+    if (running > 0) {
+      this.runningPerHost.set(host, running);
+    } else {
+      this.runningPerHost.delete(host);
+    }
+
+    this.next();
+  }
+
+  /**
+   * Wait in the queue for a slot for a request to a host.
+   *
+   * @private
+   * @param {string} host - The host.
+   * @param {Object} options
+   * @param {number} options.priority - Requests with a higher priority are sent first.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request while it's queued.
+   * @param {number} [options.timeout] - Amount of milliseconds the request can be queued.
+   * @returns {Promise<void>}
+   */
+  enqueue(host, { priority, signal, timeout }) {
+    if (signal?.aborted) return Promise.reject(new AbortError(signal.reason));
+
+    return new Promise((resolve, reject) => {
+      let timeoutID;
+
+      const entry = { host, priority };
+
+      const settle = () => {
+        clearTimeout(timeoutID);
+
+        if (signal) signal.removeEventListener('abort', entry.abort);
+
+        this.queued.splice(this.queued.indexOf(entry), 1);
+      };
+
+      entry.resolve = () => {
+        settle();
+        resolve();
+      };
+
+      entry.reject = (error) => {
+        settle();
+        reject(error);
+      };
+
+      entry.abort = () => entry.reject(new AbortError(signal.reason));
+
+      if (signal) signal.addEventListener('abort', entry.abort);
+
+      if (timeout) timeoutID = setTimeout(() => entry.reject(new TimeoutError(timeout)), timeout);
+
+      // After the requests with the same or a higher priority
+      const index = this.queued.findIndex((queuedEntry) => queuedEntry.priority < priority);
+
+      this.queued.splice(index === -1 ? this.queued.length : index, 0, entry);
+    });
+  }
+
+  /**
+   * Send the queued requests there's room for, by priority. Requests to a host at its limit don't
+   * hold back the ones to other hosts.
+   *
+   * @private
+   */
+  next() {
+    [...this.queued].forEach((entry) => {
+      if (!this.hasRoom(entry.host)) return;
+
+      this.start(entry.host);
+
+      entry.resolve();
+    });
+  }
+
+  /**
+   * Stop sending queued requests. Requests being sent aren't affected.
+   *
+   * @returns {FarFetchQueue} The queue, for chaining.
+   */
+  pause() {
+    this.paused = true;
+
+    return this;
+  }
+
+  /**
+   * Send queued requests again.
+   *
+   * @returns {FarFetchQueue} The queue, for chaining.
+   */
+  resume() {
+    this.paused = false;
+
+    this.next();
+
+    return this;
+  }
+
+  /**
+   * Remove every queued request, which throws an `AbortError`. Requests being sent aren't affected.
+   *
+   * @returns {FarFetchQueue} The queue, for chaining.
+   */
+  clear() {
+    [...this.queued].forEach((entry) => {
+      entry.reject(new AbortError(new Error('Request was cleared from the queue.')));
+    });
+
+    return this;
+  }
+}
@@ -0,0 +1,461 @@
+import FarFetchHelper from './far-fetch-helper';
+import FarFetchRetry from './far-fetch-retry';
+import FarFetchURL from './far-fetch-url';
+
+/**
+ * Client-side rate limit. A number is the amount of requests allowed per second, while `true`
+ * only adapts to the rate limit response headers.
+ *
+ * @typedef {Object} RateLimitOptions
+ * @property {number} [limit] - Amount of requests allowed per interval, which can all be sent at
+ * once. Only the rate limit response headers limit requests by default.
+ * @property {number} [interval = 1000] - Amount of milliseconds the limit applies to. Requests are
+ * allowed again gradually over it.
+ * @property {boolean} [perBaseURL = false] - Limit the requests to each base URL separately,
+ * instead of every request together. Requests outside of the base URL are limited by origin.
+ * @property {boolean} [headers = true] - Adapt to the `RateLimit-*` and `X-RateLimit-*` response
+ * headers, the draft IETF `RateLimit` and `RateLimit-Policy` ones, and `Retry-After` on
+ * `429 Too Many Requests` and `503 Service Unavailable`.
+ */
+
+/**
+ * Current state of a rate limit, like to display it.
+ *
+ * @typedef {Object} RateLimitState
+ * @property {number|null} limit - Amount of requests allowed, as told by the server or the
+ * `limit` option. Null if unknown.
+ * @property {number|null} remaining - Amount of requests that can be sent right away. Null if
+ * unlimited.
+ * @property {Date|null} reset - When the quota of the server resets, if known.
+ * @property {number|null} wait - Amount of milliseconds before the next request can be sent. Null
+ * if it's waiting for a response to know.
+ * @property {number} queued - Amount of requests waiting to be sent.
+ */
+
+/** Separate rate limit response headers, draft IETF ones first. */
+const headerNames = {
+  limit: ['RateLimit-Limit', 'X-RateLimit-Limit'],
+  remaining: ['RateLimit-Remaining', 'X-RateLimit-Remaining'],
+  reset: ['RateLimit-Reset', 'X-RateLimit-Reset'],
+};
+
+/** Params of the combined `RateLimit` and `RateLimit-Policy` headers, by their short name. */
+const paramNames = {
+  r: 'remaining',
+  t: 'reset',
+  q: 'limit',
+};
+
+/**
+ * Token bucket delaying requests so they stay within a rate limit, set on instantiation and
+ * adapted from the rate limit response headers. Requests are sent in the order they were made.
+ */
+export default class FarFetchRateLimiter {
+  /**
+   * @param {number|boolean|RateLimitOptions} [rateLimit] - The rate limit. Disabled by default.
+   */
+  constructor(rateLimit) {
+    let options = {};
+
+    if (typeof rateLimit === 'number') {
+      options = { limit: rateLimit };
+    } else if (FarFetchHelper.isPlainObject(rateLimit)) {
+      options = rateLimit;
+    }
+
+    const {
+      limit = null,
+      interval = 1000,
+      perBaseURL = false,
+      headers = true,
+    } = options;
+
+    this.enabled = Boolean(rateLimit);
+    this.limit = limit;
+    this.interval = interval;
+    this.perBaseURL = perBaseURL;
+    this.useHeaders = headers;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Amount of milliseconds until a rate limit resets. Large values are a Unix timestamp, in seconds
+   * or milliseconds, like some `X-RateLimit-Reset` headers, instead of an amount of seconds.
+   *
+   * @param {number} reset - The reset value.
+   * @param {number} [now = Date.now()] - The time the response was received.
+   * @returns {number}
+   */
+  static resetDelay(reset, now = Date.now()) {
+    if (reset > 1e12) return Math.max(0, reset - now);
+
+    if (reset > 1e9) return Math.max(0, reset * 1000 - now);
+
+    return reset * 1000;
+  }
+
+  /**
+   * Parse the rate limit response headers. The policy with the least remaining requests is used
+   * when the combined `RateLimit` header has several.
+   *
+   * @param {Headers} headers - The response headers.
+   * @param {number} [now = Date.now()] - The time the response was received.
+   * @returns {{limit: number|null, remaining: number|null, reset: number|null}} Amount of requests
+   * allowed and remaining, and amount of milliseconds until the limit resets. Null if missing.
+   */
+  static parseHeaders(headers, now = Date.now()) {
+    const parsed = {};
+
+    Object.entries(headerNames).forEach(([name, headerNamesOfValue]) => {
+      const value = headerNamesOfValue
+        .map((headerName) => parseFloat(headers.get(headerName)))
+        .find((number) => !Number.isNaN(number));
+
+      parsed[name] = value ?? null;
+    });
+
+    const policies = ['RateLimit-Policy', 'RateLimit'].map((headerName) => (
+      (headers.get(headerName) ?? '').split(',').map((item) => {
+        const params = {};
+
+        // Both `limit=100, remaining=50` and `"default";r=50;t=30` styles
+        [...item.matchAll(/([a-z]+)\s*=\s*(\d+(?:\.\d+)?)/gi)].forEach(([, name, value]) => {
+          const key = paramNames[name.toLowerCase()] ?? name.toLowerCase();
+
+          if (key in headerNames) params[key] = Number(value);
+        });
+
+        return params;
+      })
+    ));
+
+    const order = ({ remaining }) => remaining ?? Number.MAX_SAFE_INTEGER;
+
+    // Least remaining last, so it overrides the others
+    [...policies[0], ...policies[1]]
+      .filter((params) => Object.keys(params).length > 0)
+      .sort((a, b) => order(b) - order(a))
+      .forEach((params) => Object.assign(parsed, params));
+
+    if (parsed.reset !== null) parsed.reset = FarFetchRateLimiter.resetDelay(parsed.reset, now);
+
+    return parsed;
+  }
+
+  /**
+   * Key of the bucket of a request.
+   *
+   * @private
+   * @param {string} url - The full URL.
+   * @param {string} [baseURL = ''] - Base URL of the request.
+   * @returns {string}
+   */
+  key(url, baseURL = '') {
+    if (!this.perBaseURL) return '';
+
+    const base = baseURL.replace(/\/+$/, '');
+
+    // Whole path segments only, so `/v1` isn't the base URL of `/v10`
+    if (base && url.startsWith(base) && ['', '/', '?', '#'].includes(url.charAt(base.length))) {
+      return base;
+    }
+
+    return new URL(url, FarFetchURL.documentURL ?? undefined).origin;
+  }
+
+  /**
+   * Bucket of a key, which is created if missing.
+   *
+   * @private
+   * @param {string} key - The key.
+   * @returns {Object}
+   */
+  bucket(key) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        tokens: this.limit,
+        updatedAt: Date.now(),
+        serverLimit: null,
+        remaining: null,
+        resetAt: null,
+        blockedUntil: 0,
+        inFlight: 0,
+        waiting: [],
+        timeoutID: null,
+      });
+    }
+
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Change the bucket of a key.
+   *
+   * @private
+   * @param {string} key - The key.
+   * @param {Object} changes - Properties of the bucket to change.
+   */
+  setBucket(key, changes) {
+    this.buckets.set(key, { ...this.bucket(key), ...changes });
+  }
+
+  /**
+   * Amount of milliseconds before a bucket allows a request. Refills its tokens and forgets the
+   * quota of the server once it has reset.
+   *
+   * @private
+   * @param {string} key - The key of the bucket.
+   * @returns {number} The delay, or `Infinity` until a response of a request being sent is
+   * received.
+   */
+  delay(key) {
+    const now = Date.now();
+
+    const {
+      tokens,
+      updatedAt,
+      serverLimit,
+      resetAt,
+    } = this.bucket(key);
+
+    const changes = { updatedAt: now };
+
+    if (this.limit !== null) {
+      const refill = ((now - updatedAt) * this.limit) / this.interval;
+
+      changes.tokens = Math.min(this.limit, tokens + refill);
+    }
+
+    if (resetAt !== null && resetAt <= now) {
+      changes.remaining = serverLimit;
+      changes.resetAt = null;
+    }
+
+    this.setBucket(key, changes);
+
+    const bucket = this.bucket(key);
+
+    const delays = [bucket.blockedUntil - now];
+
+    if (bucket.remaining !== null && bucket.remaining < 1) {
+      // Without a reset, the next response tells when the quota is back
+      if (bucket.resetAt !== null) {
+        delays.push(bucket.resetAt - now);
+      } else if (bucket.inFlight > 0) {
+        delays.push(Infinity);
+      }
+    }
+
+    if (this.limit !== null && bucket.tokens < 1) {
+      delays.push(((1 - bucket.tokens) * this.interval) / this.limit);
+    }
+
+    return Math.max(0, ...delays);
+  }
+
+  /**
+   * Take a request from a bucket, if it allows one now.
+   *
+   * @private
+   * @param {string} key - The key of the bucket.
+   * @returns {boolean} Was it taken?
+   */
+  take(key) {
+    if (this.delay(key) > 0) return false;
+
+    const { tokens, remaining } = this.bucket(key);
+
+    this.setBucket(key, {
+      tokens: this.limit === null ? tokens : tokens - 1,
+      remaining: remaining === null ? null : remaining - 1,
+    });
+
+    return true;
+  }
+
+  /**
+   * Send a request once the rate limit allows it, or right away if it already does.
+   *
+   * @param {string} url - The full URL.
+   * @param {function(): Promise<Response>} request - Sends the request.
+   * @param {Object} [options = {}]
+   * @param {string} [options.baseURL] - Base URL of the request.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request while it's delayed.
+   * @returns {Promise<Response>} The response.
+   * @throws {Error} Error named `AbortError` when the signal is aborted while delayed, like Fetch
+   * API.
+   */
+  async run(url, request, { baseURL, signal } = {}) {
+    if (!this.enabled) return request();
+
+    const key = this.key(url, baseURL);
+
+    // Sent right away when allowed, without waiting for a tick, unless others are waiting before
+    if (this.bucket(key).waiting.length > 0 || !this.take(key)) await this.wait(key, signal);
+
+    this.setBucket(key, { inFlight: this.bucket(key).inFlight + 1 });
+
+    try {
+      const response = await request();
+
+      this.update(key, response);
+
+      return response;
+    } finally {
+      this.setBucket(key, { inFlight: this.bucket(key).inFlight - 1 });
+
+      this.next(key);
+    }
+  }
+
+  /**
+   * Wait for a bucket to allow a request, after the ones already waiting.
+   *
+   * @private
+   * @param {string} key - The key of the bucket.
+   * @param {AbortSignal} [signal] - Signal to cancel the request while it's delayed.
+   * @returns {Promise<void>}
+   */
+  wait(key, signal) {
+    if (signal?.aborted) return Promise.reject(FarFetchHelper.abortError());
+
+    const { waiting } = this.bucket(key);
+
+    return new Promise((resolve, reject) => {
+      const entry = {};
+
+      const settle = () => {
+        if (signal) signal.removeEventListener('abort', entry.abort);
+
+        waiting.splice(waiting.indexOf(entry), 1);
+
+        if (waiting.length === 0) clearTimeout(this.bucket(key).timeoutID);
+      };
+
+      entry.resolve = () => {
+        settle();
+        resolve();
+      };
+
+      entry.abort = () => {
+        settle();
+        reject(FarFetchHelper.abortError());
+      };
+
+      if (signal) signal.addEventListener('abort', entry.abort);
+
+      waiting.push(entry);
+
+      this.next(key);
+    });
+  }
+
+  /**
+   * Send the waiting requests a bucket allows, then wait for it to allow the next one.
+   *
+   * @private
+   * @param {string} key - The key of the bucket.
+   */
+  next(key) {
+    clearTimeout(this.bucket(key).timeoutID);
+
+    this.setBucket(key, { timeoutID: null });
+
+    const { waiting } = this.bucket(key);
+
+    while (waiting.length > 0 && this.take(key)) {
+      waiting[0].resolve();
+    }
+
+    if (waiting.length === 0) return;
+
+    const delay = this.delay(key);
+
+    // Otherwise woken up by the next response
+    if (delay !== Infinity) {
+      this.setBucket(key, { timeoutID: setTimeout(() => this.next(key), Math.max(1, delay)) });
+    }
+  }
+
+  /**
+   * Adapt a bucket to the rate limit response headers.
+   *
+   * @private
+   * @param {string} key - The key of the bucket.
+   * @param {Response} response - The response.
+   */
+  update(key, response) {
+    if (!this.useHeaders || typeof response?.headers?.get !== 'function') return;
+
+    const now = Date.now();
+
+    const { limit, remaining, reset } = FarFetchRateLimiter.parseHeaders(response.headers, now);
+
+    const bucket = this.bucket(key);
+
+    const changes = {};
+
+    if (limit !== null) changes.serverLimit = limit;
+
+    const isSameWindow = bucket.remaining !== null && bucket.resetAt !== null
+      && bucket.resetAt > now;
+
+    // Requests sent since then are already counted, unless the quota has reset
+    if (remaining !== null) {
+      changes.remaining = isSameWindow ? Math.min(bucket.remaining, remaining) : remaining;
+    }
+
+    if (reset !== null) changes.resetAt = now + reset;
+
+    if ([429, 503].includes(response.status)) {
+      const retryAfter = FarFetchRetry.parseRetryAfter(response.headers.get('Retry-After'));
+
+      if (retryAfter !== null) {
+        changes.blockedUntil = Math.max(bucket.blockedUntil, now + retryAfter);
+      }
+    }
+
+    this.setBucket(key, changes);
+  }
+
+  /**
+   * Current state of the rate limit, like to display it.
+   *
+   * @param {string} [baseURL] - Base URL of the rate limit, or origin of the requests outside of
+   * any, with the `perBaseURL` option. Every request shares the rate limit otherwise.
+   * @returns {RateLimitState}
+   *
+   * @example
+   * const { remaining, reset } = ff.rateLimiter.state();
+   */
+  state(baseURL = '') {
+    const key = this.perBaseURL ? baseURL.replace(/\/+$/, '') : '';
+
+    if (!this.buckets.has(key)) {
+      return {
+        limit: this.limit,
+        remaining: this.limit,
+        reset: null,
+        wait: 0,
+        queued: 0,
+      };
+    }
+
+    const wait = this.delay(key);
+
+    const bucket = this.bucket(key);
+
+    const remainings = [
+      this.limit === null ? null : Math.floor(bucket.tokens),
+      bucket.remaining,
+    ].filter((remaining) => remaining !== null);
+
+    return {
+      limit: bucket.serverLimit ?? this.limit,
+      remaining: remainings.length > 0 ? Math.max(0, Math.min(...remainings)) : null,
+      reset: bucket.resetAt === null ? null : new Date(bucket.resetAt),
+      wait: wait === Infinity ? null : wait,
+      queued: bucket.waiting.length,
+    };
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Custom action of a resource.
+ *
+ * @typedef {Object} ResourceAction
+ * @property {'GET'|'POST'|'PUT'|'PATCH'|'DELETE'|'HEAD'} [method = 'GET'] - The CRUD method.
+ * @property {string} [path = ''] - Path after the resource path, like `:id/archive`. Placeholders
+ * are replaced with the `pathParams` option.
+ * @property {...RequestOptions} [options] - Default options of the action, like `errorMsgNoun`.
+ */
+
+/** Names of the built-in methods, which custom actions can't use. */
+const builtInMethods = ['list', 'get', 'create', 'update', 'patch', 'remove'];
+
+/**
+ * REST resource, with a method for each CRUD request of its endpoints.
+ */
+export default class FarFetchResource {
+  /**
+   * @param {FarFetch} ff - The FarFetch object making the requests.
+   * @param {string} path - Path of the resource, like `users` or `users/:userId/posts`.
+   * @param {Object} [options = {}]
+   * @param {string} [options.errorMsgNoun = ''] - Error message noun of a single item.
+   * @param {string} [options.errorMsgNounPlural] - Error message noun of `list()`. Defaults to
+   * `errorMsgNoun`.
+   * @param {Object.<string, ResourceAction>} [options.actions = {}] - Custom actions by name, added
+   * as methods of the resource.
+   * @param {...RequestOptions} [options.RequestOptions] - Default options of every request.
+   */
+  constructor(ff, path, {
+    errorMsgNoun = '',
+    errorMsgNounPlural = errorMsgNoun,
+    actions = {},
+    ...defaultOptions
+  } = {}) {
+    this.ff = ff;
+    this.path = path.replace(/\/+$/, '');
+    this.errorMsgNoun = errorMsgNoun;
+    this.errorMsgNounPlural = errorMsgNounPlural;
+    this.defaultOptions = defaultOptions;
+
+    Object.entries(actions).forEach(([name, action]) => {
+      if (builtInMethods.includes(name)) {
+        throw new TypeError(`Action '${name}' would override a built-in resource method.`);
+      }
+
+      const { method = 'GET', path: actionPath = '', ...actionOptions } = action;
+
+      this[name] = (options) => this.request(method, actionPath, {
+        ...actionOptions,
+        ...options,
+      });
+    });
+  }
+
+  /**
+   * Make a request to an endpoint of the resource.
+   *
+   * @private
+   * @param {'GET'|'POST'|'PUT'|'PATCH'|'DELETE'|'HEAD'} method - The CRUD method.
+   * @param {string} path - Path after the resource path.
+   * @param {RequestOptions} [options = {}] - Options of the request, merged with the default ones.
+   * @returns {Promise<ResponsePlus|RequestResult>}
+   */
+  request(method, path, options = {}) {
+    const url = path ? `${this.path}/${path.replace(/^\/+/, '')}` : this.path;
+
+    return this.ff.fetch(url, {
+      errorMsgNoun: this.errorMsgNoun,
+      ...this.defaultOptions,
+      ...options,
+      pathParams: { ...this.defaultOptions.pathParams, ...options.pathParams },
+      method,
+    });
+  }
+
+  /**
+   * GET request of every item.
+   *
+   * @param {...RequestOptions} [options]
+   * @returns {Promise<ResponsePlus|RequestResult>}
+   * @throws {RequestException}
+   *
+   * @example
+   * await users.list({ data: { page: 2 } });
+   */
+  list(options) {
+    return this.request('GET', '', { errorMsgNoun: this.errorMsgNounPlural, ...options });
+  }
+
+  /**
+   * GET request of a single item.
+   *
+   * @param {string|number} id - The item ID.
+   * @param {...RequestOptions} [options]
+   * @returns {Promise<ResponsePlus|RequestResult>}
+   * @throws {RequestException}
+   */
+  get(id, options = {}) {
+    return this.request('GET', ':id', {
+      ...options,
+      pathParams: { ...options.pathParams, id },
+    });
+  }
+
+  /**
+   * POST request adding an item.
+   *
+   * @param {Object} data - The item.
+   * @param {...RequestOptions} [options]
+   * @returns {Promise<ResponsePlus|RequestResult>}
+   * @throws {RequestException}
+   */
+  create(data, options) {
+    return this.request('POST', '', { ...options, data });
+  }
+
+  /**
+   * PUT request replacing an item.
+   *
+   * @param {string|number} id - The item ID.
+   * @param {Object} data - The item.
+   * @param {...RequestOptions} [options]
+   * @returns {Promise<ResponsePlus|RequestResult>}
+   * @throws {RequestException}
+   */
+  update(id, data, options = {}) {
+    return this.request('PUT', ':id', {
+      ...options,
+      data,
+      pathParams: { ...options.pathParams, id },
+    });
+  }
+
+  /**
+   * PATCH request updating some properties of an item.
+   *
+   * @param {string|number} id - The item ID.
+   * @param {Object} data - The properties to update.
+   * @param {...RequestOptions} [options]
+   * @returns {Promise<ResponsePlus|RequestResult>}
+   * @throws {RequestException}
+   */
+  patch(id, data, options = {}) {
+    return this.request('PATCH', ':id', {
+      ...options,
+      data,
+      pathParams: { ...options.pathParams, id },
+    });
+  }
+
+  /**
+   * DELETE request removing an item.
+   *
+   * @param {string|number} id - The item ID.
+   * @param {...RequestOptions} [options]
+   * @returns {Promise<ResponsePlus|RequestResult>}
+   * @throws {RequestException}
+   */
+  remove(id, options = {}) {
+    return this.request('DELETE', ':id', {
+      ...options,
+      pathParams: { ...options.pathParams, id },
+    });
+  }
+}
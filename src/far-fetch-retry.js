@@ -0,0 +1,172 @@
+/**
+ * Retry options for failed requests.
+ *
+ * @typedef {Object} RetryOptions
+ * @property {number} [limit = 0] - Maximum amount of retries after the first attempt.
+ * @property {Array<'GET'|'POST'|'PUT'|'PATCH'|'DELETE'|'HEAD'|'OPTIONS'>}
+ * [methods = ['GET', 'PUT', 'DELETE', 'HEAD', 'OPTIONS']] - Methods allowed to be retried. Only
+ * idempotent methods by default.
+ * @property {number[]} [statusCodes = [408, 413, 429, 500, 502, 503, 504]] - Response status codes
+ * allowed to be retried. Network errors and timeouts are always retried.
+ * @property {'exponential'|'linear'|'fixed'|Function} [backoff = 'exponential'] - Backoff
+ * strategy. A function receives the attempt number and returns the delay in milliseconds.
+ * @property {number} [delay = 300] - Base delay in milliseconds used by the backoff strategy.
+ * @property {number} [maxDelay = 30000] - Maximum delay in milliseconds between attempts.
+ * @property {boolean} [jitter = true] - Randomize the delay between 50% and 100% of its value, so
+ * concurrent clients don't retry at the exact same time.
+ * @property {boolean} [retryAfter = true] - Use the `Retry-After` response header as the delay when
+ * present.
+ * @property {number} [maxRetryAfter = 60000] - Don't retry if `Retry-After` asks to wait
+ * longer than this amount of milliseconds, so a server can't stall the client.
+ */
+
+/** FarFetch retry helper class. */
+export default class FarFetchRetry {
+  /**
+   * Default retry options.
+   *
+   * @returns {RetryOptions}
+   */
+  static get defaults() {
+    return {
+      limit: 0,
+      methods: ['GET', 'PUT', 'DELETE', 'HEAD', 'OPTIONS'],
+      statusCodes: [408, 413, 429, 500, 502, 503, 504],
+      backoff: 'exponential',
+      delay: 300,
+      maxDelay: 30000,
+      jitter: true,
+      retryAfter: true,
+      maxRetryAfter: 60000,
+    };
+  }
+
+  /**
+   * Merge retry options, with each one taking precedence over the previous ones. Arrays are
+   * replaced rather than merged.
+   *
+   * @param {...(number|boolean|RetryOptions)} retries - Retry options. A number is the retry limit,
+   * `true` retries twice unless a limit is already set and `false` turns retrying off.
+   * @returns {RetryOptions} Merged retry options.
+   */
+  static options(...retries) {
+    return retries.reduce((mergedOptions, retry) => {
+      if (typeof retry === 'number') {
+        return { ...mergedOptions, limit: retry };
+      }
+
+      if (retry === true) {
+        return { ...mergedOptions, limit: mergedOptions.limit || 2 };
+      }
+
+      if (retry === false) {
+        return { ...mergedOptions, limit: 0 };
+      }
+
+      if (retry && typeof retry === 'object') {
+        return { ...mergedOptions, ...retry };
+      }
+
+      return mergedOptions;
+    }, FarFetchRetry.defaults);
+  }
+
+  /**
+   * Parse `Retry-After` header, which is either an amount of seconds or an HTTP date.
+   *
+   * @param {string|null} retryAfter - The `Retry-After` header value.
+   * @returns {number|null} Amount of milliseconds to wait or null if header is missing or invalid.
+   */
+  static parseRetryAfter(retryAfter) {
+    if (!retryAfter) return null;
+
+    if (/^\s*\d+\s*$/.test(retryAfter)) {
+      return Number(retryAfter) * 1000;
+    }
+
+    const date = Date.parse(retryAfter);
+
+    if (Number.isNaN(date)) return null;
+
+    return Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Delay given by the backoff strategy for an attempt.
+   *
+   * @param {number} attempt - The attempt that just failed, starting at 1.
+   * @param {RetryOptions} retryOptions - Retry options.
+   * @returns {number} Amount of milliseconds to wait.
+   */
+  static backoffDelay(attempt, {
+    backoff,
+    delay,
+    maxDelay,
+    jitter,
+  }) {
+    let backoffDelay = delay;
+
+    if (typeof backoff === 'function') {
+      backoffDelay = backoff(attempt);
+    } else if (backoff === 'exponential') {
+      backoffDelay = delay * (2 ** (attempt - 1));
+    } else if (backoff === 'linear') {
+      backoffDelay = delay * attempt;
+    }
+
+    backoffDelay = Math.min(backoffDelay, maxDelay);
+
+    if (jitter) {
+      backoffDelay = (backoffDelay / 2) + (Math.random() * (backoffDelay / 2));
+    }
+
+    return backoffDelay;
+  }
+
+  /**
+   * Delay before retrying a failed attempt.
+   *
+   * @param {Object} options
+   * @param {number} options.attempt - The attempt that just failed, starting at 1.
+   * @param {string} [options.method = 'GET'] - The CRUD method.
+   * @param {Response} [options.response] - Fetch API response, if the server responded.
+   * @param {Error} [options.error] - Error thrown by Fetch API, if the server didn't respond.
+   * @param {RetryOptions} options.retryOptions - Retry options.
+   * @returns {number|null} Amount of milliseconds to wait or null if it shouldn't be retried.
+   */
+  static retryDelay({
+    attempt,
+    method = 'GET',
+    response,
+    error,
+    retryOptions,
+  }) {
+    if (attempt > retryOptions.limit) return null;
+
+    if (!retryOptions.methods.includes(method.toUpperCase())) return null;
+
+    if (error) {
+      // Cancelled requests were meant to stop, unlike timed out ones
+      if (error.name === 'AbortError' || error.code === 'EABORTED') return null;
+
+      // Unmocked requests would fail the same way again
+      if (error.code === 'ENOMOCK') return null;
+
+      return FarFetchRetry.backoffDelay(attempt, retryOptions);
+    }
+
+    if (response.ok || !retryOptions.statusCodes.includes(response.status)) return null;
+
+    if (retryOptions.retryAfter) {
+      const retryAfter = FarFetchRetry.parseRetryAfter(response.headers?.get('Retry-After'));
+
+      if (retryAfter !== null) {
+        if (retryAfter > retryOptions.maxRetryAfter) return null;
+
+        return retryAfter;
+      }
+    }
+
+    return FarFetchRetry.backoffDelay(attempt, retryOptions);
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Schema of the `schema` and `dataSchema` options. Either a JSON Schema, validated by the built-in
+ * validator, or a validator with a `safeParse()`, `parse()` or `validate()` function, like zod,
+ * Joi, yup or an ajv compiled function.
+ *
+ * @typedef {Object|function(*): boolean} Schema
+ */
+
+/**
+ * Issue found by the built-in JSON Schema validator.
+ *
+ * @typedef {Object} SchemaIssue
+ * @property {string} path - JSON Pointer of the invalid value, like `/users/0/name`. Empty string
+ * is the value itself.
+ * @property {string} message - What is invalid.
+ */
+
+/**
+ * Result of a validation.
+ *
+ * @typedef {Object} SchemaResult
+ * @property {boolean} valid - Is the value valid?
+ * @property {Array} issues - Issues found, in the format of the validator.
+ * @property {*} value - The value given by the validator, like a zod transform, or the value
+ * itself.
+ */
+
+/**
+ * JSON Schema type of a value.
+ *
+ * @param {*} value - The value.
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+
+  if (Array.isArray(value)) return 'array';
+
+  return typeof value;
+};
+
+/**
+ * Checks if two JSON values are equal.
+ *
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** FarFetch schema validation helper class. */
+export default class FarFetchSchema {
+  /**
+   * Issues of the error thrown by a validator, like `ZodError` or yup's `ValidationError`.
+   *
+   * @param {Error} error - The error.
+   * @returns {Array} The issues.
+   */
+  static errorIssues(error) {
+    return error?.issues ?? error?.details ?? error?.errors ?? [{ path: '', message: error?.message }];
+  }
+
+  /**
+   * Validate a value.
+   *
+   * @param {Schema} schema - The schema.
+   * @param {*} value - The value.
+   * @returns {Promise<SchemaResult>}
+   */
+  static async validate(schema, value) {
+    if (typeof schema?.safeParse === 'function') { // zod
+      const result = await schema.safeParse(value);
+
+      return result.success
+        ? { valid: true, issues: [], value: result.data }
+        : { valid: false, issues: FarFetchSchema.errorIssues(result.error), value };
+    }
+
+    if (typeof schema?.parse === 'function') {
+      try {
+        return { valid: true, issues: [], value: await schema.parse(value) };
+      } catch (error) {
+        return { valid: false, issues: FarFetchSchema.errorIssues(error), value };
+      }
+    }
+
+    // Ajv compiled functions have the validate signature themselves
+    const validate = typeof schema === 'function' ? schema : schema?.validate?.bind(schema);
+
+    if (typeof validate === 'function') {
+      let result;
+
+      try {
+        result = await validate(value);
+      } catch (error) { // yup
+        return { valid: false, issues: FarFetchSchema.errorIssues(error), value };
+      }
+
+      if (result === false) { // Ajv
+        return { valid: false, issues: validate.errors ?? schema.errors ?? [], value };
+      }
+
+      if (result?.error) { // Joi
+        return { valid: false, issues: FarFetchSchema.errorIssues(result.error), value };
+      }
+
+      if (result === true || result === undefined) return { valid: true, issues: [], value };
+
+      return { valid: true, issues: [], value: result?.value ?? result };
+    }
+
+    const issues = FarFetchSchema.jsonSchemaIssues(schema, value);
+
+    return { valid: issues.length === 0, issues, value };
+  }
+
+  /**
+   * Issues of a value with a JSON Schema. Supports the keywords of most API responses, like
+   * `type`, `properties`, `required`, `items`, `enum`, `oneOf`, the length and range keywords, and
+   * local `$ref`.
+   *
+   * @param {Object|boolean} schema - The JSON Schema.
+   * @param {*} value - The value.
+   * @param {string} [path = ''] - JSON Pointer of the value.
+   * @param {Object} [root = schema] - Root schema, which `$ref` is resolved against.
+   * @returns {SchemaIssue[]} Issues found, or empty array if valid.
+   */
+  static jsonSchemaIssues(schema, value, path = '', root = schema) {
+    if (schema === true || schema === undefined) return [];
+
+    if (schema === false) return [{ path, message: 'is not allowed' }];
+
+    if (schema.$ref) {
+      const referencedSchema = schema.$ref.replace(/^#\/?/, '').split('/').filter(Boolean)
+        .reduce((parent, segment) => parent?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+
+      return FarFetchSchema.jsonSchemaIssues(referencedSchema, value, path, root);
+    }
+
+    const validate = (subSchema, subValue = value, subPath = path) => (
+      FarFetchSchema.jsonSchemaIssues(subSchema, subValue, subPath, root)
+    );
+
+    const issue = (message) => [{ path, message }];
+
+    const valueType = typeOf(value);
+
+    if (schema.nullable && value === null) return [];
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+
+      const matchesType = types.some((type) => type === valueType
+        || (type === 'integer' && Number.isInteger(value)));
+
+      if (!matchesType) return issue(`must be ${types.join(' or ')}, got ${valueType}`);
+    }
+
+    if (schema.enum && !schema.enum.some((item) => isEqual(item, value))) {
+      return issue(`must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}`);
+    }
+
+    if ('const' in schema && !isEqual(schema.const, value)) {
+      return issue(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    const issues = [];
+
+    if (schema.allOf) {
+      schema.allOf.forEach((subSchema) => issues.push(...validate(subSchema)));
+    }
+
+    if (schema.anyOf && !schema.anyOf.some((subSchema) => validate(subSchema).length === 0)) {
+      issues.push(...issue('must match a schema in anyOf'));
+    }
+
+    if (schema.oneOf
+      && schema.oneOf.filter((subSchema) => validate(subSchema).length === 0).length !== 1) {
+      issues.push(...issue('must match exactly one schema in oneOf'));
+    }
+
+    if (schema.not && validate(schema.not).length === 0) {
+      issues.push(...issue('must NOT match the schema in not'));
+    }
+
+    if (valueType === 'string') {
+      if (value.length < (schema.minLength ?? 0)) {
+        issues.push(...issue(`must have at least ${schema.minLength} characters`));
+      }
+
+      if (value.length > (schema.maxLength ?? Infinity)) {
+        issues.push(...issue(`must have at most ${schema.maxLength} characters`));
+      }
+
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        issues.push(...issue(`must match pattern ${schema.pattern}`));
+      }
+    }
+
+    if (valueType === 'number') {
+      if (value < (schema.minimum ?? -Infinity)) issues.push(...issue(`must be >= ${schema.minimum}`));
+
+      if (value > (schema.maximum ?? Infinity)) issues.push(...issue(`must be <= ${schema.maximum}`));
+
+      if (value <= (schema.exclusiveMinimum ?? -Infinity)) {
+        issues.push(...issue(`must be > ${schema.exclusiveMinimum}`));
+      }
+
+      if (value >= (schema.exclusiveMaximum ?? Infinity)) {
+        issues.push(...issue(`must be < ${schema.exclusiveMaximum}`));
+      }
+    }
+
+    if (valueType === 'array') {
+      if (value.length < (schema.minItems ?? 0)) {
+        issues.push(...issue(`must have at least ${schema.minItems} items`));
+      }
+
+      if (value.length > (schema.maxItems ?? Infinity)) {
+        issues.push(...issue(`must have at most ${schema.maxItems} items`));
+      }
+
+      if (schema.items) {
+        value.forEach((item, index) => issues.push(...validate(schema.items, item, `${path}/${index}`)));
+      }
+    }
+
+    if (valueType === 'object') {
+      const properties = schema.properties ?? {};
+
+      (schema.required ?? []).filter((name) => !(name in value)).forEach((name) => {
+        issues.push({ path: `${path}/${name}`, message: 'is required' });
+      });
+
+      Object.entries(value).forEach(([name, propertyValue]) => {
+        const propertyPath = `${path}/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+        if (name in properties) {
+          issues.push(...validate(properties[name], propertyValue, propertyPath));
+        } else if (schema.additionalProperties !== undefined) {
+          issues.push(...validate(schema.additionalProperties, propertyValue, propertyPath));
+        }
+      });
+    }
+
+    return issues;
+  }
+}
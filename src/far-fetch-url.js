@@ -0,0 +1,164 @@
+import FarFetchHelper from './far-fetch-helper';
+import { ValidationError } from './far-fetch-error';
+
+/**
+ * Path params in a URL, like `:id` or `{user-id}`. A `:name` one starts a path segment, so custom
+ * methods like `/jobs/{id}:run` aren't params.
+ */
+const pathParamPattern = /(^|\/):([A-Za-z_$][\w$]*)|\{([^{}/]+)\}/g;
+
+/** FarFetch URL helper class. */
+export default class FarFetchURL {
+  /**
+   * URL of the page the code runs in, which relative URLs are resolved against by Fetch API.
+   *
+   * @returns {string|null} The URL, or null outside of browsers, like in Node.
+   */
+  static get documentURL() {
+    // eslint-disable-next-line no-restricted-globals
+    return typeof location !== 'undefined' ? location.href : null;
+  }
+
+  /**
+   * Split a URL in its path, query string and hash.
+   *
+   * @param {string} url - The URL.
+   * @returns {{ path: string, query: string, hash: string }} The parts, with the query string
+   * without `?` and the hash with `#`.
+   */
+  static split(url) {
+    const [, path, query = '', hash = ''] = url.match(/^([^?#]*)(?:\?([^#]*))?(#.*)?$/);
+
+    return { path, query, hash };
+  }
+
+  /**
+   * Join a base URL and a relative URL with exactly one slash between them. The path of the base
+   * URL is kept, unlike URL resolution, and query strings of both are kept.
+   *
+   * @param {string} baseURL - The base URL.
+   * @param {string} url - The relative URL. Used as is if it's absolute.
+   * @returns {string} The joined URL.
+   */
+  static join(baseURL, url) {
+    if (!baseURL || FarFetchHelper.isAbsoluteURL(url)) return url;
+
+    const base = FarFetchURL.split(baseURL);
+    const relative = FarFetchURL.split(url);
+
+    const path = relative.path
+      ? `${base.path.replace(/\/+$/, '')}/${relative.path.replace(/^\/+/, '')}`
+      : base.path;
+
+    const query = [base.query, relative.query].filter(Boolean).join('&');
+
+    return `${path}${query ? `?${query}` : ''}${relative.hash}`;
+  }
+
+  /**
+   * Full URL of a request. Relative URLs are joined with the base URL, protocol-relative URLs get
+   * the protocol of the base URL or page, and absolute URLs are normalized.
+   *
+   * @param {string} url - The URL.
+   * @param {Object} [options = {}]
+   * @param {string} [options.baseURL = ''] - Base URL for relative URLs.
+   * @param {string} [options.queryString = ''] - Query string without `?`, added after the query
+   * params the URL already has.
+   * @returns {string} The full URL. Relative URLs without a base URL are left relative in
+   * browsers, as Fetch API resolves them against the page.
+   * @throws {ValidationError} Error when the URL is invalid, or relative without a base URL
+   * outside of browsers.
+   */
+  static resolve(url, { baseURL = '', queryString = '' } = {}) {
+    let fullURL = url;
+
+    if (url.startsWith('//')) { // Protocol-relative
+      const base = baseURL || FarFetchURL.documentURL;
+
+      if (!base) {
+        throw new ValidationError(`Protocol-relative URL '${url}' needs a baseURL outside of browsers.`);
+      }
+
+      fullURL = new URL(url, FarFetchURL.join(base, '')).href;
+    } else if (!FarFetchHelper.isAbsoluteURL(url)) {
+      if (baseURL) {
+        fullURL = FarFetchURL.join(baseURL, url);
+      } else if (!FarFetchURL.documentURL) {
+        throw new ValidationError(`Relative URL '${url}' needs a baseURL outside of browsers.`);
+      }
+    }
+
+    fullURL = FarFetchURL.appendQueryString(fullURL, queryString);
+
+    if (!FarFetchHelper.isAbsoluteURL(fullURL)) return fullURL;
+
+    try {
+      // Normalizes the URL, like removing dot segments
+      return new URL(fullURL).href;
+    } catch (error) {
+      throw new ValidationError(`Invalid URL '${fullURL}'.`, { error });
+    }
+  }
+
+  /**
+   * Replace the path params of a URL, like `:id` or `{id}`, with their encoded value. The query
+   * string and hash are left as is.
+   *
+   * @param {string} url - The URL.
+   * @param {Object.<string, string|number|boolean>} pathParams - Value of each path param.
+   * @returns {string} The URL with its path params replaced.
+   * @throws {ValidationError} Error when a path param has no value.
+   *
+   * @example
+   * FarFetchURL.interpolatePath('/users/:id/posts/{postId}', { id: 23, postId: 'a/b' });
+   * // '/users/23/posts/a%2Fb'
+   *
+   * FarFetchURL.interpolatePath('/jobs/{id}:run', { id: 23 }); // '/jobs/23:run'
+   */
+  static interpolatePath(url, pathParams) {
+    const pathEnd = url.search(/[?#]/);
+
+    const path = pathEnd === -1 ? url : url.slice(0, pathEnd);
+    const rest = pathEnd === -1 ? '' : url.slice(pathEnd);
+
+    const interpolate = (match, slash, colonName, braceName) => {
+      const name = colonName ?? braceName;
+
+      const value = pathParams[name];
+
+      if (value === undefined || value === null) {
+        throw new ValidationError(`Missing path param '${name}' for URL '${url}'.`, { param: name });
+      }
+
+      return `${slash ?? ''}${encodeURIComponent(value)}`;
+    };
+
+    return `${path.replace(pathParamPattern, interpolate)}${rest}`;
+  }
+
+  /**
+   * Add a query string to a URL, after the query params it already has and before its hash.
+   *
+   * @param {string} url - The URL.
+   * @param {string} queryString - Query string without `?`.
+   * @returns {string} The URL with the query string.
+   */
+  static appendQueryString(url, queryString) {
+    if (!queryString) return url;
+
+    const hashIndex = url.indexOf('#');
+
+    const path = hashIndex === -1 ? url : url.slice(0, hashIndex);
+    const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+
+    let separator = '?';
+
+    if (/[?&]$/.test(path)) {
+      separator = '';
+    } else if (path.includes('?')) {
+      separator = '&';
+    }
+
+    return `${path}${separator}${queryString}${hash}`;
+  }
+}
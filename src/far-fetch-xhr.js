@@ -0,0 +1,147 @@
+import FarFetchHelper, { nullBodyStatuses } from './far-fetch-helper';
+
+/**
+ * Upload or download progress.
+ *
+ * @typedef {Object} Progress
+ * @property {number} loaded - Amount of bytes transferred.
+ * @property {number} total - Total amount of bytes, or `0` if unknown.
+ * @property {number|null} percent - Percentage transferred, from 0 to 100, or null if the total is
+ * unknown.
+ */
+
+/**
+ * Fetch API compatible transport built on XMLHttpRequest, as it's the only way to get upload
+ * progress in browsers.
+ */
+export default class FarFetchXHR {
+  /**
+   * Progress object.
+   *
+   * @param {number} loaded - Amount of bytes transferred.
+   * @param {number} [total = 0] - Total amount of bytes, or `0` if unknown.
+   * @returns {Progress}
+   */
+  static progress(loaded, total = 0) {
+    return {
+      loaded,
+      total,
+      percent: total ? Math.floor((loaded / total) * 100) : null,
+    };
+  }
+
+  /**
+   * Checks if XMLHttpRequest can be used in this environment.
+   *
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof XMLHttpRequest !== 'undefined';
+  }
+
+  /**
+   * Parse the response headers of XMLHttpRequest.
+   *
+   * @param {string} rawHeaders - Return value of `getAllResponseHeaders()`.
+   * @returns {Array<string[]>} Header name and value pairs.
+   */
+  static parseHeaders(rawHeaders) {
+    return rawHeaders.trim().split(/[\r\n]+/).filter(Boolean).map((line) => {
+      const separatorIndex = line.indexOf(':');
+
+      return [line.slice(0, separatorIndex).trim(), line.slice(separatorIndex + 1).trim()];
+    });
+  }
+
+  /**
+   * Make a request with the same parameters and result as Fetch API.
+   *
+   * @param {string} url - The full URL.
+   * @param {RequestInit} [options = {}] - Init options from Fetch API. Only `method`, `headers`,
+   * `body`, `credentials` and `signal` are used.
+   * @param {Object} [progressCallbacks = {}]
+   * @param {function(Progress)} [progressCallbacks.onUploadProgress] - Called as the body is
+   * uploaded.
+   * @param {function(Progress)} [progressCallbacks.onDownloadProgress] - Called as the response is
+   * downloaded.
+   * @returns {Promise<Response>}
+   */
+  static fetch(url, {
+    method = 'GET',
+    headers = {},
+    body = null,
+    credentials,
+    signal,
+  } = {}, { onUploadProgress, onDownloadProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+
+      if (signal?.aborted) {
+        reject(FarFetchHelper.abortError('The request was aborted.'));
+
+        return;
+      }
+
+      const abort = () => xhr.abort();
+
+      // Every outcome removes the abort listener, so it doesn't outlive the request
+      const settle = () => {
+        if (signal) signal.removeEventListener('abort', abort);
+      };
+
+      xhr.open(method, url);
+
+      xhr.responseType = 'arraybuffer';
+      xhr.withCredentials = credentials === 'include';
+
+      // Headers object, object or array of name and value pairs, like Fetch API
+      new Headers(headers).forEach((value, name) => xhr.setRequestHeader(name, value));
+
+      const toProgress = (event) => (
+        FarFetchXHR.progress(event.loaded, event.lengthComputable ? event.total : 0)
+      );
+
+      if (typeof onUploadProgress === 'function' && xhr.upload) {
+        xhr.upload.onprogress = (event) => onUploadProgress(toProgress(event));
+      }
+
+      if (typeof onDownloadProgress === 'function') {
+        xhr.onprogress = (event) => onDownloadProgress(toProgress(event));
+      }
+
+      xhr.onload = () => {
+        settle();
+
+        const responseBody = nullBodyStatuses.includes(xhr.status) ? null : xhr.response;
+
+        const response = new Response(responseBody, {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: FarFetchXHR.parseHeaders(xhr.getAllResponseHeaders()),
+        });
+
+        // Not settable with the constructor
+        Object.defineProperty(response, 'url', { value: xhr.responseURL || url });
+
+        resolve(response);
+      };
+
+      // Same error as Fetch API on network failure
+      xhr.onerror = () => {
+        settle();
+        reject(new TypeError('Network request failed'));
+      };
+
+      xhr.ontimeout = xhr.onerror;
+
+      xhr.onabort = () => {
+        settle();
+        reject(FarFetchHelper.abortError('The request was aborted.'));
+      };
+
+      if (signal) signal.addEventListener('abort', abort);
+
+      xhr.send(body);
+    });
+  }
+}
@@ -1,16 +1,61 @@
 import deepMerge from 'deepmerge';
 
 import FarFetchHelper from './far-fetch-helper';
-import FarFetchError from './far-fetch-error';
-
-export { FarFetchError };
+import FarFetchError, {
+  HTTPError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  ParseError,
+  ValidationError,
+  SchemaError,
+} from './far-fetch-error';
+import FarFetchRetry from './far-fetch-retry';
+import FarFetchCache from './far-fetch-cache';
+import FarFetchXHR from './far-fetch-xhr';
+import FarFetchParsers from './far-fetch-parsers';
+import FarFetchParams from './far-fetch-params';
+import FarFetchURL from './far-fetch-url';
+import FarFetchResource from './far-fetch-resource';
+import FarFetchOpenAPI from './far-fetch-openapi';
+import FarFetchSchema from './far-fetch-schema';
+import MockTransport from './far-fetch-mock';
+import { HARRecorder, HARReplay } from './far-fetch-har';
+import FarFetchPaginate from './far-fetch-paginate';
+import FarFetchQueue from './far-fetch-queue';
+import FarFetchRateLimiter from './far-fetch-rate-limiter';
+
+export {
+  FarFetchError,
+  HTTPError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  ParseError,
+  ValidationError,
+  SchemaError,
+  MockTransport,
+  HARRecorder,
+  HARReplay,
+};
 
 /**
- * The Request exception object.
+ * The Request exception object. Either an `HTTPError`, `NetworkError`, `TimeoutError`,
+ * `AbortError`, `ParseError`, `ValidationError` or `SchemaError`, which all extend `FarFetchError`.
  *
- * @typedef {Object} RequestException
- * @property {FarFetchError} error - FarFetch error.
- * @property {ResponsePlus} response - Fetch API response plus added properties for syntactic sugar.
+ * @typedef {FarFetchError} RequestException
+ * @property {'EHTTP'|'ENETWORK'|'ETIMEDOUT'|'EABORTED'|'EPARSE'|'EVALIDATION'|'ESCHEMA'} code -
+ * Stable error code.
+ * @property {ErrorRequest} [request] - The request that failed, safe to log.
+ * @property {ResponsePlus} [response] - Fetch API response plus added properties for syntactic
+ * sugar, if the server responded.
+ * @property {number} [status] - Response status of an `HTTPError`.
+ * @property {string} [statusText] - Response status text of an `HTTPError`.
+ * @property {*} [body] - Parsed response body of an `HTTPError`.
+ * @property {'response'|'data'} [target] - What is invalid for a `SchemaError`.
+ * @property {Array} [issues] - Issues found by the validator of a `SchemaError`.
+ * @property {Error} [cause] - The underlying error, like the one thrown by Fetch API.
+ * @property {FarFetchError} error - The error itself, for backward compatibility.
  */
 
 /**
@@ -20,23 +65,44 @@ export { FarFetchError };
  * @property {Response} response - Fetch API response.
  * {@link https://developer.mozilla.org/en-US/docs/Web/API/Response|Response object}.
  * @property {Object} [response.responseJSON = null] - FarFetch added property that transforms the
- * body to JSON for syntactic sugar if the same response header type.
+ * body to JSON for syntactic sugar if the same response header type, including `+json` types.
  * @property {string} [response.responseText = null] - FarFetch added property that transforms the
- * body to text for syntactic sugar if the same response header type.
+ * body to text for syntactic sugar if the same response header type, including `text/*` and XML.
+ * @property {*} [response.responseData = null] - FarFetch added property with the body parsed
+ * according to the `responseType` option.
+ */
+
+/**
+ * Result of a request that doesn't throw, when `throwOnError` is `false`.
+ *
+ * @typedef {Object} RequestResult
+ * @property {boolean} ok - Whether the request succeeded.
+ * @property {*} data - The parsed response body, like `responseData`, or null if it failed.
+ * @property {RequestException|null} error - The error, or null if it succeeded.
+ * @property {ResponsePlus|null} response - The response, or null if the server didn't respond.
+ */
+
+/**
+ * Callback deciding if a response status is successful.
+ *
+ * @callback validateStatusCallback
+ * @param {number} status - The response status.
+ * @returns {boolean} Whether the status is successful. An `HTTPError` is thrown otherwise.
  */
 
 /**
  * The request object options without Fetch API options.
  *
  * @typedef {Object} RequestOptionsNoInit
- * @property {Object.<string, string|number|null|boolean|Array|Object>} [data = {}] - Data sent to
- * server on request. Will use `body` for: POST, PUT, PATCH and `URL query params string` for: GET,
- * HEAD, DELETE.
+ * @property {Object.<string, string|number|null|boolean|Array|Object>|FormData|Blob} [data = {}] -
+ * Data sent to server on request. Will use `body` for: POST, PUT, PATCH and `URL query params
+ * string` for: GET, HEAD, DELETE. Sent as multipart FormData if it's a FormData or has a Blob,
+ * File, Buffer or stream. A Blob, Buffer or stream itself is sent as is.
  * @property {Object.<string, string|number|null|boolean|Array|Object>} [URLParams = {}] - URL query
  * params string. Don't use both `data` and `URLParams` together with GET, HEAD or DELETE, as
  * they're redundant in these cases. Pick one or the other, as they will both have the same effect.
  * @property {File|File[]|Object.<string, File>|Object.<string, File[]>} [files] - Files to upload
- * to server.
+ * to server. Blobs and Buffers work too, like in Node where File may not exist.
  * Will use `file` as key if literal and `files[]` if array; if object, will use properties as keys.
  * @property {string} [errorMsgNoun = ''] - Appended error message noun to global error handler.
  * @property {string} [errorMsg = ''] - Error message used to global error handler. Overrides
@@ -45,6 +111,49 @@ export { FarFetchError };
  * hook?
  * @property {boolean} [globalAfterSend = true] - Will this specific request use the afterSend()
  * hook?
+ * @property {boolean} [globalOnRetry = true] - Will this specific request use the onRetry() hook?
+ * @property {number|boolean|RetryOptions} [retry] - Retry options for this specific request.
+ * Merged with the retry options specified on instantiation.
+ * @property {number} [timeout] - Amount of milliseconds before each attempt is aborted. Overrides
+ * the timeout specified on instantiation. `0` means no timeout.
+ * @property {AbortSignal} [signal] - Signal to cancel the request. Never deep cloned, unlike the
+ * other Fetch API init options.
+ * @property {boolean} [auth = true] - Will this specific request use the `auth` option specified on
+ * instantiation? Turn it off for the request refreshing the token.
+ * @property {boolean|CacheOptions|string} [cache] - Response cache options for this specific GET
+ * or HEAD request, merged with the ones specified on instantiation. `true` caches it with the
+ * options specified on instantiation and `false` doesn't use the cache. A string is the Fetch API
+ * cache mode instead.
+ * @property {boolean} [dedupe] - Will this specific GET or HEAD request share the in-flight request
+ * of an identical one? Overrides the `dedupe` option specified on instantiation.
+ * @property {number} [priority = 0] - Requests with a higher priority are sent first when they're
+ * queued by the `maxConcurrent` option, like user initiated ones before prefetches.
+ * @property {function(Progress)} [onUploadProgress] - Called as the request body is uploaded. Sent
+ * with XMLHttpRequest instead of Fetch API, as it's the only way to get upload progress, unless
+ * the `fetch` option is set.
+ * @property {function(Progress)} [onDownloadProgress] - Called as the response body is downloaded.
+ * Only called once the whole body is downloaded if the response body can't be streamed.
+ * @property {ResponseType} [responseType] - How the response body of this specific request is
+ * parsed into `responseData`. Overrides the `responseType` option specified on instantiation.
+ * @property {validateStatusCallback} [validateStatus] - Decides if the response status of this
+ * specific request is successful. Overrides the `validateStatus` option specified on
+ * instantiation.
+ * @property {Schema} [schema] - Schema `responseJSON` must match. Throws a `SchemaError` otherwise.
+ * `responseJSON` and `responseData` are set to the value given by validators like zod.
+ * @property {Schema} [dataSchema] - Schema `data` must match before sending the request. Throws a
+ * `SchemaError` otherwise.
+ * @property {string} [baseURL] - Base URL of this specific request. Overrides the `baseURL`
+ * option specified on instantiation.
+ * @property {Object.<string, string|number|boolean>} [pathParams] - Value of each path param in
+ * the URL, like `:id` or `{id}`, which are encoded. Throws a `ValidationError` if one is missing.
+ * @property {ParamsSerializer} [paramsSerializer] - How the URL query params of this specific
+ * request are serialized. Overrides the `paramsSerializer` option specified on instantiation.
+ * @property {ParamsSerializer} [formDataSerializer] - How nested objects and arrays in the `data`
+ * of this specific multipart request are serialized. Overrides the `formDataSerializer` option
+ * specified on instantiation.
+ * @property {boolean} [throwOnError] - Will this specific request throw on error? Resolves to a
+ * `RequestResult` instead if `false`. Overrides the `throwOnError` option specified on
+ * instantiation.
  * @property {boolean} [defaultOptionsUsed = true] - Will this specific request use the
  * default options specified on instantiation and the return value of `dynamicOptions()`?
  */
@@ -59,6 +168,26 @@ export { FarFetchError };
  * from Fetch API.
  */
 
+/**
+ * Authentication options to inject a token in every request and refresh it when it expires.
+ *
+ * @typedef {Object} AuthOptions
+ * @property {function(): (string|Promise<string>)} getToken - Returns the current token. No header
+ * is added if it returns a falsy value.
+ * @property {function(): (string|void|Promise<string|void>)} refreshToken - Refreshes the token.
+ * Can return the new token; `getToken()` is used otherwise. Concurrent refreshes are deduplicated.
+ * @property {string} [header = 'Authorization'] - Header the token is injected in.
+ * @property {string} [scheme = 'Bearer'] - Prepended to the token in the header.
+ * @property {number[]} [statusCodes = [401]] - Response status codes that refresh the token.
+ */
+
+/**
+ * Sends the requests instead of Fetch API, like a `MockTransport`, `HARRecorder` or `HARReplay`.
+ *
+ * @typedef {Object} Transport
+ * @property {function(string, RequestInit): Promise<Response>} fetch - Fetch API implementation.
+ */
+
 /**
  * Callback for global dynamic options. Allows a dynamic option to be set, like a token stored in
  * localStorage.
@@ -90,18 +219,63 @@ export { FarFetchError };
  * correct header type.
  */
 
+/**
+ * Callback for global retry hook. Called before waiting to retry a failed attempt.
+ *
+ * @callback onRetryCallback
+ * @param {Object} [options]
+ * @param {string} [options.url] - The full URL.
+ * @param {RequestInit} [options.fetchAPIOptions] -
+ * {@link https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters|Init options}
+ * from Fetch API.
+ * @param {number} [options.attempt] - The attempt that failed, starting at 1.
+ * @param {number} [options.delay] - Amount of milliseconds until the next attempt.
+ * @param {NetworkError|TimeoutError} [options.error] - The error, if the server didn't respond.
+ * @param {ResponsePlus} [options.response] - Request object plus responseJSON and responseText
+ * properties if correct header type, if the server responded.
+ */
+
 /**
  * Callback for global error handler.
  *
  * @callback errorHandlerCallback
  * @param {Object} [options]
- * @param {FarFetchError|Error} [options.error] - The FarFetchError option. Will throw regular error
- * if needed.
+ * @param {RequestException|Error} [options.error] - The typed FarFetchError, or the regular error
+ * thrown by a hook or middleware.
  * @param {ResponsePlus} [options.response] - Request object plus responseJSON and responseText
  * properties if correct header type.
  * @param {string} [options.userMessage] - The message given to the user.
  */
 
+/**
+ * The context shared by every middleware of a request.
+ *
+ * @typedef {Object} MiddlewareContext
+ * @property {string} requestURL - The URL passed in to the request.
+ * @property {string} url - The full URL, with the base URL and URL query params string, once the
+ * built-in middlewares ran. Can be changed before calling `next()`.
+ * @property {RequestInit} options -
+ * {@link https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters|Init options}
+ * from Fetch API. Can be changed before calling `next()`.
+ * @property {RequestOptionsNoInit} requestOptions - The request object options without Fetch API
+ * options.
+ * @property {ResponsePlus} [response] - The response, once `next()` resolves or rejects. Can be
+ * changed or replaced.
+ * @property {number} [queueTime] - Amount of milliseconds the request waited in the queue, which
+ * counts in its timeout.
+ */
+
+/**
+ * Middleware that runs on every request.
+ *
+ * @callback middlewareCallback
+ * @param {MiddlewareContext} ctx - The middleware context.
+ * @param {function(MiddlewareContext=): Promise<ResponsePlus>} next - Runs the following
+ * middlewares and the request. Can be passed in another context, like a copy for a background
+ * request.
+ * @returns {Promise<ResponsePlus|void>} Optional response replacing `ctx.response`.
+ */
+
 /**
  * Callback for overriding default error message template.
  *
@@ -109,6 +283,8 @@ export { FarFetchError };
  * @param {Object} [options]
  * @param {('GET'|'POST'|'PUT'|'PATCH'|'DELETE'|'HEAD')} [options.method] - The CRUD method.
  * @param {string} [options.errorMsgNoun] - The error message noun.
+ * @param {RequestException|Error} [options.error] - The error, to give a distinct message for
+ * `SchemaError`.
  * @returns {string} Full error message string.
  */
 
@@ -119,15 +295,52 @@ export default class FarFetch {
    *
    * @param {Object} [options = {}] - Set options.
    * @param {string} [options.baseURL = ''] - Base URL for each request.
-   * @param {dynamicOptionsCallback} [options.dynamicOptions] - Function that allows a dynamic
-   * option to be set, like a token stored in localStorage.
-   * @param {beforeSendCallback} [options.beforeSend] - Function to do something before
-   * each fetch request. Can return object with RequestOptions to add or override options.
-   * @param {afterSendCallback} [options.afterSend] - Function to do something after each fetch
-   * request.
-   * @param {errorHandlerCallback} [options.errorHandler] - Global error handler.
+   * @param {dynamicOptionsCallback|dynamicOptionsCallback[]} [options.dynamicOptions] - Function
+   * that allows a dynamic option to be set, like a token stored in localStorage. Return values of
+   * an array of functions are deep merged.
+   * @param {beforeSendCallback|beforeSendCallback[]} [options.beforeSend] - Function to do
+   * something before each fetch request. Can return object with RequestOptions to add or override
+   * options.
+   * @param {afterSendCallback|afterSendCallback[]} [options.afterSend] - Function to do something
+   * after each fetch request.
+   * @param {onRetryCallback|onRetryCallback[]} [options.onRetry] - Function to do something before
+   * each retry.
+   * @param {errorHandlerCallback|errorHandlerCallback[]} [options.errorHandler] - Global error
+   * handler. Only called once the last attempt fails.
    * @param {errorMsgTemplateCallback} [options.errorMsgTemplate] - Function to modify the default
    * error message template for `errorMsgNoun`.
+   * @param {number|boolean|RetryOptions} [options.retry = 0] - Retry options for every request. A
+   * number is the retry limit and `true` retries twice.
+   * @param {number} [options.timeout = 0] - Amount of milliseconds before each attempt is aborted.
+   * `0` means no timeout.
+   * @param {AuthOptions} [options.auth] - Inject a token in every request and refresh it, then
+   * replay the request, when the server responds with `401 Unauthorized`.
+   * @param {CacheOptions|string} [options.cache] - Cache the responses of every GET and HEAD
+   * request in memory. A string is the Fetch API cache mode instead.
+   * @param {boolean} [options.dedupe = true] - Share the in-flight request of identical concurrent
+   * GET and HEAD requests. Requests with their own `signal` are never shared.
+   * @param {MaxConcurrent} [options.maxConcurrent] - Maximum amount of requests sent at the same
+   * time, globally or per host. Others are queued in `queue`. No limit by default.
+   * @param {number|boolean|RateLimitOptions} [options.rateLimit] - Delay requests so they stay
+   * within a rate limit, adapted from the rate limit response headers. A number is the amount of
+   * requests allowed per second, while `true` only adapts to the headers. Every attempt counts.
+   * @param {ResponseType} [options.responseType = 'auto'] - How response bodies are parsed into
+   * `responseData`. `'auto'` picks one from the `Content-Type` response header.
+   * @param {Object.<string, parserCallback>} [options.parsers] - Response body parsers by MIME
+   * type, used when the response type is `'auto'`.
+   * @param {validateStatusCallback} [options.validateStatus] - Decides if a response status is
+   * successful. Statuses in the 200-299 range are by default.
+   * @param {ParamsSerializer} [options.paramsSerializer = 'json'] - How URL query params and
+   * `application/x-www-form-urlencoded` bodies are serialized.
+   * @param {ParamsSerializer} [options.formDataSerializer = 'brackets'] - How nested objects and
+   * arrays in `data` are serialized in multipart requests, like `user[address][city]`. A function
+   * receives the data and returns the FormData.
+   * @param {boolean} [options.throwOnError = true] - Throw on error. Requests resolve to a
+   * `RequestResult` instead if `false`.
+   * @param {function(string, RequestInit): Promise<Response>|Transport} [options.fetch] - Fetch
+   * API implementation, like node-fetch or undici, or a transport, like a `MockTransport`, which is
+   * then the `mock` property. Always sends the requests, even with `onUploadProgress`. Defaults to
+   * the global `fetch`.
    * @param {...RequestInit} [options.defaultOptions = {}] -
    * {@link https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters|Init options}
    * from Fetch API.
@@ -166,17 +379,116 @@ export default class FarFetch {
     dynamicOptions,
     beforeSend,
     afterSend,
+    onRetry,
     errorHandler,
     errorMsgTemplate,
+    retry = 0,
+    timeout = 0,
+    auth,
+    dedupe = true,
+    maxConcurrent,
+    rateLimit,
+    responseType = 'auto',
+    parsers,
+    validateStatus,
+    throwOnError = true,
+    paramsSerializer = 'json',
+    formDataSerializer = 'brackets',
+    fetch: fetchImplementation,
     ...defaultOptions
   } = {}) {
     this.baseURL = baseURL;
     this.dynamicOptions = dynamicOptions;
     this.beforeSend = beforeSend;
     this.afterSend = afterSend;
+    this.onRetry = onRetry;
     this.errorHandler = errorHandler;
     this.errorMsgTemplate = errorMsgTemplate;
+    this.retry = retry;
+    this.timeout = timeout;
+    this.auth = auth;
+    this.dedupe = dedupe;
+    this.responseType = responseType;
+    this.parsers = new FarFetchParsers(parsers);
+    this.validateStatus = validateStatus;
+    this.throwOnError = throwOnError;
+    this.paramsSerializer = paramsSerializer;
+    this.formDataSerializer = formDataSerializer;
     this.defaultOptions = defaultOptions;
+    this.middlewares = [];
+    this.authRefresh = null;
+    this.inFlightRequests = new Map();
+    this.cache = new FarFetchCache({ resolveURL: (url) => FarFetchURL.join(this.baseURL, url) });
+
+    /**
+     * Queue of the requests waiting for room when the `maxConcurrent` option is set. Can be paused,
+     * resumed and cleared.
+     *
+     * @type {FarFetchQueue}
+     *
+     * @example
+     * ff.queue.pause();
+     */
+    this.queue = new FarFetchQueue(maxConcurrent);
+
+    /**
+     * Rate limit of the requests when the `rateLimit` option is set, with its current state.
+     *
+     * @type {FarFetchRateLimiter}
+     *
+     * @example
+     * const { remaining, reset } = ff.rateLimiter.state();
+     */
+    this.rateLimiter = new FarFetchRateLimiter(rateLimit);
+
+    /**
+     * Mock replying to the requests, when the `fetch` option is a `MockTransport`.
+     *
+     * @type {MockTransport|undefined}
+     */
+    this.mock = fetchImplementation instanceof MockTransport ? fetchImplementation : undefined;
+    this.fetchImplementation = typeof fetchImplementation?.fetch === 'function'
+      ? fetchImplementation.fetch
+      : fetchImplementation;
+
+    /**
+     * Request functions that resolve to a `RequestResult` instead of throwing.
+     *
+     * @type {Object.<string, function(string, RequestOptions=): Promise<RequestResult>>}
+     *
+     * @example
+     * const { ok, data, error } = await ff.safe.get('https://my-website.com/users/23');
+     */
+    this.safe = {};
+
+    ['fetch', 'get', 'post', 'put', 'patch', 'delete', 'head'].forEach((method) => {
+      this.safe[method] = (url, options) => this[method](url, { ...options, throwOnError: false });
+    });
+
+    /**
+     * Iterate over the items, or pages, of a paginated endpoint. Each page is requested once the
+     * items of the one before are consumed. `ff.paginate.all()` collects them in an array instead.
+     *
+     * @type {function(string, PaginateOptions=): AsyncGenerator<*>}
+     *
+     * @example
+     * for await (const user of ff.paginate('users', { strategy: 'page', maxItems: 100 })) {
+     *   console.log(user.name);
+     * }
+     *
+     * const users = await ff.paginate.all('users', { strategy: 'cursor', items: 'data' });
+     */
+    this.paginate = (url, options) => FarFetchPaginate.iterate(this, url, options);
+
+    this.paginate.all = (url, options) => FarFetchPaginate.all(this, url, options);
+
+    // Plain object is for the response cache, while a string is the Fetch API cache mode
+    if (FarFetchHelper.isPlainObject(defaultOptions.cache)) {
+      const { cache: cacheOptions, ...initOptions } = defaultOptions;
+
+      this.cacheOptions = cacheOptions;
+      this.defaultOptions = initOptions;
+    }
   }
 
   /**
@@ -189,15 +501,21 @@ export default class FarFetch {
    * handler.
    * @param {string} [options.errorMsg = ''] - Error message used to global error handler. Overrides
    * `errorMsgNoun`
+   * @param {RequestException|Error} [options.error] - The error.
    * @returns {string} Full error message string.
    */
-  userMessage({ method, errorMsg, errorMsgNoun }) {
+  userMessage({
+    method,
+    errorMsg,
+    errorMsgNoun,
+    error,
+  }) {
     // Custom error message used for single request
     if (errorMsg) return errorMsg;
 
     // Error template is modified
     if (typeof this.errorMsgTemplate === 'function') {
-      const errorMsgTemplate = this.errorMsgTemplate({ method, errorMsgNoun });
+      const errorMsgTemplate = this.errorMsgTemplate({ method, errorMsgNoun, error });
 
       return errorMsgTemplate;
     }
@@ -214,6 +532,13 @@ export default class FarFetch {
       action = 'deleting';
     }
 
+    // The server responded, but not with what the app expects
+    if (error instanceof SchemaError) {
+      const reason = error.target === 'data' ? 'invalid data' : 'unexpected response';
+
+      return `Error ${action} ${errorMsgNoun}: ${reason}`;
+    }
+
     return `Error ${action} ${errorMsgNoun}`;
   }
 
@@ -235,6 +560,10 @@ export default class FarFetch {
    * default options specified on instantiation and the return value of `dynamicOptions()`?
    * @param {File|File[]|Object.<string, File>|Object.<string, File[]>} [options.files] - Files to
    * upload to server.
+   * @param {ParamsSerializer} [options.paramsSerializer = 'json'] - How the URL query params and
+   * `application/x-www-form-urlencoded` body are serialized.
+   * @param {ParamsSerializer} [options.formDataSerializer = 'brackets'] - How nested objects and
+   * arrays in `data` are serialized in multipart requests.
    * @param {...RequestInit} [options.rest = {}] -
    * {@link https://developer.mozilla.org/en-US/docs/Web/API/WindowOrWorkerGlobalScope/fetch#Parameters|Init options}
    * from Fetch API.
@@ -245,6 +574,8 @@ export default class FarFetch {
     dynamicOptions,
     defaultOptionsUsed,
     files,
+    paramsSerializer = 'json',
+    formDataSerializer = 'brackets',
     ...rest
   }) {
     let options = {};
@@ -273,10 +604,17 @@ export default class FarFetch {
 
     const isFormURLEncoded = contentTypeHeader?.includes('application/x-www-form-urlencoded');
 
-    queryString = FarFetchHelper.objectToQueryString(URLParams);
+    queryString = FarFetchParams.serialize(URLParams, paramsSerializer);
+
+    // Blob, Buffer or stream sent as is
+    if (FarFetchParams.isBinary(data)) {
+      options.body = data;
 
-    if (files) { // Files property used, so must be upload
-      const formData = FarFetchHelper.createFormData({ files, data });
+      // Streamed request bodies must be half duplex with Fetch API, including Node's
+      if (FarFetchParams.isStream(data)) options.duplex = 'half';
+    // Files property used, or files or FormData in data, so must be upload
+    } else if (files || FarFetchHelper.isFormData(data) || FarFetchHelper.hasBinary(data)) {
+      const formData = FarFetchHelper.createFormData({ files, data, formDataSerializer });
 
       options.body = formData;
 
@@ -287,14 +625,14 @@ export default class FarFetch {
       // Default is URL query string. GET/HEAD can't be used with body. Body is optional for DELETE.
       if (options.method === 'GET' || options.method === 'DELETE' || options.method === 'HEAD') {
         if (Object.keys(data).length > 0 && Object.keys(URLParams).length > 0) {
-          throw new FarFetchError(`Don't use both 'data' and 'URLParams' together with GET, HEAD or 
+          throw new ValidationError(`Don't use both 'data' and 'URLParams' together with GET, HEAD or 
           DELETE, as they're redundant in these cases. Pick one or the other, as they will both have
           the same effect, but prefer 'data' in this case for consistency.`);
         }
 
-        queryString = FarFetchHelper.objectToQueryString(data);
+        queryString = FarFetchParams.serialize(data, paramsSerializer);
       } else if (isFormURLEncoded) { // FormURLEncoded requires URL params in body
-        options.body = new URLSearchParams(data);
+        options.body = FarFetchParams.serialize(data, paramsSerializer);
       } else if (options.method === 'POST' || options.method === 'PUT'
         || options.method === 'PATCH') {
         // JSON content-type header is necessary to match JSON body
@@ -310,179 +648,1270 @@ export default class FarFetch {
   /**
    * @private
    * @param {Response} response - Fetch API response object.
-   * @returns {Promise<ResponsePlus>} - Modified response object with responseJSON and responseText
-   * properties as transformed body for syntactic sugar.
+   * @param {ResponseType} [responseType = this.responseType] - How the body is parsed.
+   * @param {string} [method] - The CRUD method of the request. Responses to HEAD requests have no
+   * body to parse.
+   * @returns {Promise<ResponsePlus>} - Modified response object with responseJSON, responseText and
+   * responseData properties as transformed body for syntactic sugar.
    */
-  static async modifiedResponse(response) {
-    const responseContentType = response.headers?.get('Content-Type');
+  async modifiedResponse(response, responseType = this.responseType, method) {
+    const isStream = responseType === 'stream';
 
-    const responseContentTypeJson = responseContentType?.includes('application/json');
-    const responseContentTypeText = responseContentType?.includes('text/plain');
+    // Transforming body, like calling json(), can only be used once, so clones are needed to keep
+    // original readable, even if parsing fails. Also needed to clone parameter to prevent mutating
+    // it. A stream is handed over as is though, as an unread clone would buffer the whole body.
+    const modifiedResponse = isStream ? response : response.clone();
 
-    // Transforming body, like calling json(), can only be used once, so clone is needed to keep
-    // original. Also needed to clone parameter to prevent mutating it.
-    const modifiedResponse = response.clone();
+    let parsed;
 
-    modifiedResponse.responseJSON = null;
-    modifiedResponse.responseText = null;
-
-    if (responseContentTypeJson) {
-      modifiedResponse.responseJSON = await response.json();
-    } else if (responseContentTypeText) {
-      modifiedResponse.responseText = await response.text();
+    try {
+      parsed = await this.parsers.parse(
+        isStream ? response : response.clone(),
+        responseType,
+        method,
+      );
+    } catch (error) {
+      throw new ParseError(modifiedResponse, error);
     }
 
+    const { type, data } = parsed;
+
+    modifiedResponse.responseJSON = type === 'json' ? data : null;
+    modifiedResponse.responseText = type === 'text' ? data : null;
+    modifiedResponse.responseData = data;
+
     return modifiedResponse;
   }
 
   /**
-   * Request function called on every CRUD function.
+   * Fetch request that is aborted on timeout or when the signal is aborted.
    *
-   * @param {string} url - The URL.
+   * @private
    * @param {Object} options
-   * @param {'GET'|'POST'|'PUT'|'PATCH'|'DELETE'|'HEAD'} options.method - The CRUD method.
-   * @param {...RequestOptions} [options.RequestOptions]
-   * @returns {Promise<ResponsePlus>}
-   * @throws {RequestException}
+   * @param {string} options.url - The full URL.
+   * @param {RequestInit} options.options - Init options from Fetch API.
+   * @param {number} [options.timeout] - Amount of milliseconds before the request is aborted.
+   * @param {number} [options.elapsed = 0] - Amount of milliseconds of the timeout already elapsed,
+   * like while queued.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+   * @param {function(string, RequestInit): Promise<Response>} [options.transport = fetch] - Sends
+   * the request.
+   * @returns {Promise<Response>}
+   * @throws {TimeoutError|AbortError|NetworkError} Error on timeout, when the signal is aborted,
+   * even before sending, or when the server can't be reached. Errors extending `FarFetchError`
+   * thrown by the transport are thrown as is.
+   */
+  static async fetchWithTimeout({
+    url,
+    options,
+    timeout,
+    elapsed = 0,
+    signal,
+    transport = fetch,
+  }) {
+    // Already cancelled, so there's nothing to send
+    if (signal?.aborted) throw new AbortError(signal.reason);
+
+    if (!timeout && !signal) {
+      try {
+        return await transport(url, options);
+      } catch (error) {
+        // Transports like mocks throw their own errors
+        if (error instanceof FarFetchError) throw error;
+
+        throw new NetworkError(error);
+      }
+    }
+
+    // Own controller, so the signal passed in is never cloned nor aborted by a timeout
+    const controller = new AbortController();
+
+    const abort = () => controller.abort();
+
+    let timedOut = false;
+    let timeoutID;
+
+    if (signal) signal.addEventListener('abort', abort);
+
+    if (timeout) {
+      timeoutID = setTimeout(() => {
+        timedOut = true;
+
+        controller.abort();
+      }, Math.max(0, timeout - elapsed));
+    }
+
+    try {
+      return await transport(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (error instanceof FarFetchError) throw error;
+
+      if (!controller.signal.aborted) throw new NetworkError(error);
+
+      if (timedOut) throw new TimeoutError(timeout, error);
+
+      throw new AbortError(error);
+    } finally {
+      clearTimeout(timeoutID);
+
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+
+  /**
+   * Fetch request retried according to the retry options. Resolves with the last response, even if
+   * it failed, once there are no more retries left.
    *
-   * @example
-   * await ff.fetch('https://my-website.com/users', {
-   *  method: 'GET',
-   *  data: { id: 23 },
-   *  errorMsgNoun: 'users',
-   * });
+   * @private
+   * @param {Object} options
+   * @param {string} options.url - The full URL.
+   * @param {RequestInit} options.options - Init options from Fetch API.
+   * @param {RetryOptions} options.retryOptions - Retry options.
+   * @param {boolean} options.globalOnRetry - Will this specific request use the onRetry() hook?
+   * @param {number} [options.timeout] - Amount of milliseconds before each attempt is aborted.
+   * @param {number} [options.elapsed = 0] - Amount of milliseconds of the timeout of the first
+   * attempt already elapsed, like while queued.
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request.
+   * @param {function(string, RequestInit): Promise<Response>} [options.transport] - Sends the
+   * request.
+   * @param {number} [options.attempt = 1] - The current attempt.
+   * @returns {Promise<Response>}
+   * @throws {AbortError} Error when the signal is aborted while waiting to retry.
    */
-  async fetch(url, {
-    data = {},
-    URLParams = {},
-    files,
-    errorMsg = '',
-    errorMsgNoun = '',
-    globalBeforeSend = true,
-    globalAfterSend = true,
-    defaultOptionsUsed = true,
-    ...rest
+  async fetchWithRetry({
+    url,
+    options,
+    retryOptions,
+    globalOnRetry,
+    timeout,
+    elapsed = 0,
+    signal,
+    transport,
+    attempt = 1,
   }) {
-    let dynamicOptions;
+    let response;
+    let error;
+
+    try {
+      response = await FarFetch.fetchWithTimeout({
+        url,
+        options,
+        timeout,
+        elapsed,
+        signal,
+        transport,
+      });
+    } catch (fetchError) {
+      error = fetchError;
+    }
+
+    const delay = FarFetchRetry.retryDelay({
+      attempt,
+      method: options.method,
+      response,
+      error,
+      retryOptions,
+    });
+
+    // No more retries, so last attempt is the outcome
+    if (delay === null) {
+      if (error) throw error;
+
+      return response;
+    }
+
+    // If globalOnRetry option is set to true and onRetry() declared on instantiation
+    if (globalOnRetry && FarFetch.hooks(this.onRetry).length > 0) {
+      // Do something before every retry
+      await FarFetch.runHooks(this.onRetry, {
+        url,
+        fetchAPIOptions: options,
+        attempt,
+        delay,
+        error,
+        response: response
+          ? await this.modifiedResponse(response, 'auto', options.method)
+          : undefined,
+      });
+    }
+
+    // Cancelling the request stops waiting, and no other attempt is made
+    try {
+      await FarFetchHelper.sleep(delay, signal);
+    } catch (sleepError) {
+      throw new AbortError(signal.reason ?? sleepError);
+    }
+
+    return this.fetchWithRetry({
+      url,
+      options,
+      retryOptions,
+      globalOnRetry,
+      timeout,
+      signal,
+      transport,
+      attempt: attempt + 1,
+    });
+  }
+
+  /**
+   * Full URL of a request, with the base URL if it's a relative path.
+   *
+   * @private
+   * @param {string} url - The URL.
+   * @param {string} [queryString = ''] - URL query params string, without `?`. Added after the
+   * query params the URL already has.
+   * @param {string} [baseURL = this.baseURL] - Base URL of the request.
+   * @returns {string} The full URL.
+   * @throws {ValidationError} Error when the URL is invalid, or relative without a base URL
+   * outside of browsers.
+   */
+  fullURL(url, queryString = '', baseURL = this.baseURL) {
+    return FarFetchURL.resolve(url, { baseURL, queryString });
+  }
+
+  /**
+   * Hook functions, as hooks can either be a single function or an array of them.
+   *
+   * @private
+   * @param {Function|Function[]} [hooks] - Hook or array of hooks.
+   * @returns {Function[]} Array of hook functions.
+   */
+  static hooks(hooks) {
+    return [].concat(hooks ?? []).filter((hook) => typeof hook === 'function');
+  }
+
+  /**
+   * Run hooks in order. Async hooks are awaited before running the next one.
+   *
+   * @private
+   * @param {Function|Function[]} [hooks] - Hook or array of hooks.
+   * @param {...*} parameters - Parameters passed in to each hook.
+   * @returns {Promise<Array>} Return value of each hook.
+   */
+  static async runHooks(hooks, ...parameters) {
+    const hookReturns = [];
+
+    await FarFetch.hooks(hooks).reduce(async (previousHook, hook) => {
+      await previousHook;
 
-    if (typeof this.dynamicOptions === 'function') {
-      const isDynamicOptionsAsync = this.dynamicOptions.constructor.name === 'AsyncFunction';
+      const isHookAsync = hook.constructor.name === 'AsyncFunction';
 
       // Await function if is async
-      if (isDynamicOptionsAsync) {
-        // Await and do something before every request
-        dynamicOptions = await this.dynamicOptions();
+      if (isHookAsync) {
+        hookReturns.push(await hook(...parameters));
       } else {
-        // Do something before every request
-        dynamicOptions = this.dynamicOptions();
+        hookReturns.push(hook(...parameters));
       }
+    }, Promise.resolve());
+
+    return hookReturns;
+  }
+
+  /**
+   * Compose middlewares into a single function. Each middleware can call `next()` to run the
+   * following ones and, unlike Koa, can call it more than once to replay the request.
+   *
+   * @private
+   * @param {middlewareCallback[]} middlewares - Middlewares to run in order.
+   * @returns {function(MiddlewareContext): Promise<ResponsePlus>}
+   */
+  compose(middlewares) {
+    const dispatch = async (ctx, index) => {
+      const middleware = middlewares[index];
+
+      if (!middleware) return ctx.response;
+
+      // Following middlewares can run with another context, like for background requests
+      const next = (nextCtx = ctx) => dispatch(nextCtx, index + 1);
+
+      const response = await middleware.call(this, ctx, next);
+
+      // Middleware can either set ctx.response or return a new response
+      if (response !== undefined) ctx.response = response;
+
+      return ctx.response;
+    };
+
+    return (ctx) => dispatch(ctx, 0);
+  }
+
+  /**
+   * Built-in middleware that merges the default options with the return value of
+   * `dynamicOptions()` and the request options, then sets the full URL.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @param {Function} next - Runs the following middlewares.
+   * @returns {Promise<ResponsePlus>}
+   */
+  async dynamicOptionsMiddleware(ctx, next) {
+    let dynamicOptions;
+
+    const dynamicOptionsReturns = await FarFetch.runHooks(this.dynamicOptions);
+
+    if (dynamicOptionsReturns.length === 1) {
+      [dynamicOptions] = dynamicOptionsReturns;
+    } else {
+      // Deep merge each return value; later ones take precedence
+      dynamicOptionsReturns.forEach((dynamicOptionsReturn) => {
+        if (dynamicOptionsReturn === undefined) return;
+
+        if (!FarFetchHelper.isPlainObject(dynamicOptionsReturn)) {
+          throw new TypeError('Return value of dynamicOptions() must be plain object');
+        }
+
+        dynamicOptions = deepMerge(dynamicOptions ?? {}, dynamicOptionsReturn);
+      });
     }
 
+    const {
+      data,
+      URLParams,
+      files,
+      defaultOptionsUsed,
+      paramsSerializer,
+      formDataSerializer,
+      pathParams,
+      baseURL,
+    } = ctx.requestOptions;
+
     const { queryString, options } = this.setFetchOptions({
       data,
       URLParams,
       dynamicOptions,
       defaultOptionsUsed,
       files,
-      ...rest,
+      paramsSerializer,
+      formDataSerializer,
+      ...ctx.options,
     });
 
-    // If globalBeforeSend option is set to true and beforeSend() declared on instantiation
-    if (globalBeforeSend && typeof this.beforeSend === 'function') {
-      const isBeforeSendAsync = this.beforeSend.constructor.name === 'AsyncFunction';
+    const url = pathParams ? FarFetchURL.interpolatePath(ctx.url, pathParams) : ctx.url;
 
-      // // Merges default request options set in instantiation with ones set in specific request.
-      // // Will obviously not have access to beforeSend() options returned.
-      // const fetchAPIOptions = deepMerge(this.defaultOptions, rest);
+    ctx.url = this.fullURL(url, queryString, baseURL);
+    ctx.options = options;
 
-      const beforeSendObjectParameters = {
-        url,
-        fetchAPIOptions: options,
-        data,
-        URLParams,
-        files,
-        errorMsg,
-        errorMsgNoun,
-        globalBeforeSend,
-        globalAfterSend,
-        defaultOptionsUsed,
-      };
+    return next();
+  }
 
-      // Await function if is async
-      if (isBeforeSendAsync) {
-        // Await and do something before every request
-        await this.beforeSend(beforeSendObjectParameters);
-      } else {
-        // Do something before every request
-        this.beforeSend(beforeSendObjectParameters);
-      }
+  /**
+   * Built-in middleware that runs the `beforeSend()` hook.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @param {Function} next - Runs the following middlewares.
+   * @returns {Promise<ResponsePlus>}
+   */
+  async beforeSendMiddleware(ctx, next) {
+    // If globalBeforeSend option is set to true and beforeSend() declared on instantiation
+    if (ctx.requestOptions.globalBeforeSend) {
+      // Do something before every request
+      await FarFetch.runHooks(this.beforeSend, {
+        url: ctx.requestURL,
+        fetchAPIOptions: ctx.options,
+        ...ctx.requestOptions,
+      });
     }
 
-    let response = '';
+    return next();
+  }
 
+  /**
+   * Built-in middleware that runs the global error handler when any of the following middlewares
+   * throws.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @param {Function} next - Runs the following middlewares.
+   * @returns {Promise<ResponsePlus>}
+   * @throws {RequestException}
+   */
+  async errorHandlerMiddleware(ctx, next) {
     try {
-      let fullURL = `${url}${queryString}`;
-
-      // Base URL is given and URL on request is a relative path
-      if ((this.baseURL) && !FarFetchHelper.isAbsoluteURL(url)) {
-        const prependURL = this.baseURL;
+      return await next();
+    } catch (error) {
+      let { response } = ctx;
 
-        fullURL = `${prependURL}${fullURL}`;
+      // Error bodies usually describe the error, whatever the response type of the request. Ones
+      // that can't be parsed are still given as is.
+      if (response && !('responseJSON' in response)) {
+        response = await this.modifiedResponse(response, 'auto', ctx.options.method)
+          .catch(() => response);
       }
 
-      response = await fetch(fullURL, options);
-
-      if (!response.ok) throw new FarFetchError('Server error.');
+      if (error instanceof FarFetchError) {
+        if (response) error.response = response;
 
-      response = await FarFetch.modifiedResponse(response);
+        if (!error.request) error.request = FarFetchError.request(ctx.url, ctx.options);
+      }
 
-      // If globalAfterSend option is set to true and afterSend() declared on instantiation
-      if (globalAfterSend && typeof this.afterSend === 'function') {
-        const isAfterSendAsync = this.afterSend.constructor.name === 'AsyncFunction';
+      const { errorMsg, errorMsgNoun } = ctx.requestOptions;
 
-        if (isAfterSendAsync) {
-          // Await and do something after every request
-          await this.afterSend(response);
-        } else {
-          // Do something after every request
-          this.afterSend(response);
-        }
-      }
-    } catch (error) {
       // Global error handler needs to be declared and either
       // an entire errorMsg or just the appended errorMsgNoun need to be declared
-      if (typeof this.errorHandler === 'function' && (errorMsg || errorMsgNoun)) {
-        if (response) {
-          response = await FarFetch.modifiedResponse(response);
-        }
-
+      if (FarFetch.hooks(this.errorHandler).length > 0 && (errorMsg || errorMsgNoun)) {
         const userMessage = this.userMessage({
           errorMsg,
           errorMsgNoun,
-          method: options.method,
+          method: ctx.options.method,
+          error,
         });
 
-        const isErrorHandlerAsync = this.errorHandler.constructor.name === 'AsyncFunction';
-
-        if (isErrorHandlerAsync) {
-          // Await error handler
-          await this.errorHandler({ error, response, userMessage });
-        } else {
-          // Non-await error handler
-          this.errorHandler({ error, response, userMessage });
-        }
+        await FarFetch.runHooks(this.errorHandler, { error, response, userMessage });
       }
 
-      // Throw request object to all manually handling exception and stop execution for sequential
-      // tasks
-      if (error instanceof FarFetchError) {
-        throw new FarFetchError({ error, response });
-      } else {
-        throw error;
-      }
+      // Throw error to allow manually handling exception and stop execution for sequential tasks
+      throw error;
+    }
+  }
+
+  /**
+   * Built-in middleware that runs the `afterSend()` hook. Also adds the responseJSON and
+   * responseText properties to responses given by middlewares that short-circuit.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @param {Function} next - Runs the following middlewares.
+   * @returns {Promise<ResponsePlus>}
+   */
+  async afterSendMiddleware(ctx, next) {
+    await next();
+
+    if (ctx.response && !('responseJSON' in ctx.response)) {
+      ctx.response = await this.modifiedResponse(
+        ctx.response,
+        ctx.requestOptions.responseType,
+        ctx.options.method,
+      );
+    }
+
+    // If globalAfterSend option is set to true
+    if (ctx.requestOptions.globalAfterSend) {
+      // Do something after every request
+      await FarFetch.runHooks(this.afterSend, ctx.response);
     }
 
-    return response;
+    return ctx.response;
+  }
+
+  /**
+   * Built-in middleware that validates the request data with the `dataSchema` option, and the
+   * response body with the `schema` option.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @param {Function} next - Runs the following middlewares.
+   * @returns {Promise<ResponsePlus>}
+   * @throws {SchemaError}
+   */
+  async schemaMiddleware(ctx, next) {
+    const { schema, dataSchema, data } = ctx.requestOptions;
+
+    if (dataSchema) {
+      const { valid, issues } = await FarFetchSchema.validate(dataSchema, data);
+
+      if (!valid) throw new SchemaError('data', issues);
+    }
+
+    await next();
+
+    if (!schema) return ctx.response;
+
+    if (!('responseJSON' in ctx.response)) {
+      ctx.response = await this.modifiedResponse(
+        ctx.response,
+        ctx.requestOptions.responseType,
+        ctx.options.method,
+      );
+    }
+
+    const { responseJSON } = ctx.response;
+
+    const { valid, issues, value } = await FarFetchSchema.validate(schema, responseJSON);
+
+    if (!valid) throw new SchemaError('response', issues);
+
+    ctx.response.responseJSON = value;
+    ctx.response.responseData = value;
+
+    return ctx.response;
+  }
+
+  /**
+   * Refresh the token with `refreshToken()` of the `auth` option. Concurrent calls share the same
+   * refresh.
+   *
+   * @private
+   * @returns {Promise<string>} The new token.
+   */
+  refreshAuthToken() {
+    if (!this.authRefresh) {
+      this.authRefresh = (async () => {
+        try {
+          const token = await this.auth.refreshToken();
+
+          return token ?? await this.auth.getToken();
+        } finally {
+          this.authRefresh = null;
+        }
+      })();
+    }
+
+    return this.authRefresh;
+  }
+
+  /**
+   * Built-in middleware that injects the token of the `auth` option and refreshes it, then replays
+   * the request, when the server responds with `401 Unauthorized`.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @param {Function} next - Runs the following middlewares.
+   * @returns {Promise<ResponsePlus>}
+   * @throws {FarFetchError} Error with an `EAUTH` code when refreshing the token fails, with the
+   * error of `refreshToken()` as its `cause`.
+   */
+  async authMiddleware(ctx, next) {
+    if (!this.auth || !ctx.requestOptions.auth) return next();
+
+    const {
+      getToken,
+      header = 'Authorization',
+      scheme = 'Bearer',
+      statusCodes = [401],
+    } = this.auth;
+
+    const setToken = (token) => {
+      if (!token) return;
+
+      // Deep merge like dynamicOptions(), but only headers, so the body is never cloned
+      ctx.options = {
+        ...ctx.options,
+        headers: deepMerge(ctx.options.headers ?? {}, {
+          [header]: scheme ? `${scheme} ${token}` : token,
+        }),
+      };
+    };
+
+    const token = await getToken();
+
+    setToken(token);
+
+    try {
+      return await next();
+    } catch (error) {
+      if (!statusCodes.includes(ctx.response?.status)) throw error;
+
+      let newToken = await getToken();
+
+      // Only refresh if another request hasn't already refreshed it in the meantime
+      if (!newToken || newToken === token) {
+        try {
+          newToken = await this.refreshAuthToken();
+        } catch (refreshError) {
+          // Own error for each request sharing the refresh, like any other request error
+          throw new FarFetchError({
+            message: 'Failed to refresh the token.',
+            code: 'EAUTH',
+            error: refreshError,
+          });
+        }
+      }
+
+      setToken(newToken);
+
+      ctx.response = undefined;
+
+      return next();
+    }
+  }
+
+  /**
+   * Make the request and cache its response. Conditional request if the cached response has an
+   * `ETag` or `Last-Modified` header, which keeps using it on `304 Not Modified`.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @param {Function} next - Runs the following middlewares.
+   * @param {Object} options
+   * @param {string} options.key - The cache key.
+   * @param {Object} [options.entry] - The cache entry, if any.
+   * @param {CacheOptions} options.cacheOptions - Response cache options.
+   * @returns {Promise<ResponsePlus>}
+   */
+  async revalidateCache(ctx, next, { key, entry, cacheOptions }) {
+    if (entry?.etag || entry?.lastModified) {
+      ctx.options = {
+        ...ctx.options,
+        headers: {
+          ...ctx.options.headers,
+          ...(entry.etag && { 'If-None-Match': entry.etag }),
+          ...(entry.lastModified && { 'If-Modified-Since': entry.lastModified }),
+        },
+      };
+    }
+
+    try {
+      await next(ctx);
+    } catch (error) {
+      if (!entry || ctx.response?.status !== 304) throw error;
+
+      // Not modified, so the cached response is fresh again
+      this.cache.set(key, { url: ctx.url, response: entry.response, cacheOptions });
+
+      ctx.response = await this.modifiedResponse(
+        entry.response.clone(),
+        ctx.requestOptions.responseType,
+        ctx.options.method,
+      );
+
+      return ctx.response;
+    }
+
+    this.cache.set(key, { url: ctx.url, response: ctx.response, cacheOptions });
+
+    return ctx.response;
+  }
+
+  /**
+   * Built-in middleware that returns cached responses for GET and HEAD requests, when the cache is
+   * used. Stale responses are returned while revalidated in the background during the
+   * `staleWhileRevalidate` time.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @param {Function} next - Runs the following middlewares.
+   * @returns {Promise<ResponsePlus>}
+   */
+  async cacheMiddleware(ctx, next) {
+    const { cache } = ctx.requestOptions;
+
+    const method = (ctx.options.method ?? 'GET').toUpperCase();
+
+    if (cache === false || (!this.cacheOptions && !cache) || !['GET', 'HEAD'].includes(method)) {
+      return next();
+    }
+
+    const cacheOptions = {
+      ...this.cacheOptions,
+      ...(FarFetchHelper.isPlainObject(cache) && cache),
+    };
+
+    const key = FarFetchCache.key({
+      method,
+      url: ctx.url,
+      headers: ctx.options.headers,
+      varyHeaders: cacheOptions.headers ?? ['Accept', 'Authorization'],
+    });
+
+    const entry = this.cache.get(key);
+
+    if (entry) {
+      const age = Date.now() - entry.storedAt;
+
+      if (age < entry.ttl) {
+        return this.modifiedResponse(
+          entry.response.clone(),
+          ctx.requestOptions.responseType,
+          ctx.options.method,
+        );
+      }
+
+      if (age < entry.ttl + entry.staleWhileRevalidate) {
+        if (!entry.revalidation) {
+          // Own context, as this request finishes before the revalidation does
+          entry.revalidation = this.revalidateCache({ ...ctx }, next, { key, entry, cacheOptions })
+            .catch(() => {})
+            .finally(() => {
+              entry.revalidation = null;
+            });
+        }
+
+        return this.modifiedResponse(
+          entry.response.clone(),
+          ctx.requestOptions.responseType,
+          ctx.options.method,
+        );
+      }
+    }
+
+    return this.revalidateCache(ctx, next, { key, entry, cacheOptions });
+  }
+
+  /**
+   * Clone a response, so its body can be read again. Keeps the responseJSON and responseText
+   * properties if it has them.
+   *
+   * @private
+   * @param {Response|ResponsePlus} response - The response.
+   * @param {ResponseType} [responseType] - How the body of the clone is parsed.
+   * @param {string} [method] - The CRUD method of the request.
+   * @returns {Promise<Response|ResponsePlus>} The cloned response.
+   */
+  async cloneResponse(response, responseType, method) {
+    if ('responseJSON' in response) {
+      return this.modifiedResponse(response.clone(), responseType, method);
+    }
+
+    return response.clone();
+  }
+
+  /**
+   * Built-in middleware that waits for room in the queue before sending the request, when the
+   * `maxConcurrent` option is set or the queue is paused. Cached and shared responses never wait.
+   * Requests queued for longer than their timeout throw, as do cancelled ones. The time queued
+   * counts in the timeout of the first attempt.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @param {Function} next - Runs the following middlewares.
+   * @returns {Promise<ResponsePlus>}
+   * @throws {TimeoutError|AbortError} Error when the request times out or is cancelled while
+   * queued, or is cleared from the queue.
+   */
+  async queueMiddleware(ctx, next) {
+    const { priority, signal, timeout } = ctx.requestOptions;
+
+    const queuedAt = Date.now();
+
+    return this.queue.run(ctx.url, () => {
+      // One timeout for the time queued and the time sending, rather than one for each
+      ctx.queueTime = Date.now() - queuedAt;
+
+      return next();
+    }, { priority, signal, timeout });
+  }
+
+  /**
+   * Built-in middleware that shares the in-flight request of identical concurrent GET and HEAD
+   * requests. Each one gets its own clone of the response, as a body can only be read once.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @param {Function} next - Runs the following middlewares.
+   * @returns {Promise<ResponsePlus>}
+   */
+  async dedupeMiddleware(ctx, next) {
+    const {
+      dedupe,
+      signal,
+      onDownloadProgress,
+      retry,
+      timeout,
+      validateStatus,
+    } = ctx.requestOptions;
+
+    const method = (ctx.options.method ?? 'GET').toUpperCase();
+
+    // Aborting a request with its own signal would abort the others sharing it, and progress is
+    // only reported to the request that was sent
+    if (!dedupe || signal || onDownloadProgress || !['GET', 'HEAD'].includes(method)) return next();
+
+    // Outcome would depend on which request was made first
+    const hasOwnOutcome = retry !== undefined || timeout !== this.timeout
+      || validateStatus !== this.validateStatus;
+
+    if (hasOwnOutcome) return next();
+
+    const key = FarFetchCache.key({
+      method,
+      url: ctx.url,
+      headers: ctx.options.headers,
+      varyHeaders: ['Accept', 'Authorization'],
+    });
+
+    let inFlightRequest = this.inFlightRequests.get(key);
+
+    if (!inFlightRequest) {
+      inFlightRequest = next().then(
+        (response) => ({ response }),
+        (error) => ({ error, response: ctx.response }),
+      );
+
+      this.inFlightRequests.set(key, inFlightRequest);
+
+      inFlightRequest.then(() => this.inFlightRequests.delete(key));
+    }
+
+    const { error, response } = await inFlightRequest;
+
+    // Error bodies are always parsed with 'auto'
+    ctx.response = response
+      ? await this.cloneResponse(
+        response,
+        error ? 'auto' : ctx.requestOptions.responseType,
+        ctx.options.method,
+      )
+      : response;
+
+    // Each request gets its own error, as its response is set on it
+    if (error instanceof FarFetchError) {
+      throw error.copy(ctx.response ? { response: ctx.response } : {});
+    }
+
+    if (error) throw error;
+
+    return ctx.response;
+  }
+
+  /**
+   * Response which body reports its download progress as it's read. The body is read right away
+   * instead, if it can't be streamed.
+   *
+   * @private
+   * @param {Response} response - Fetch API response.
+   * @param {function(Progress)} onDownloadProgress - Called as the response body is downloaded.
+   * @returns {Promise<Response>}
+   */
+  static async trackDownloadProgress(response, onDownloadProgress) {
+    if (!response.body) return response;
+
+    const total = Number(response.headers.get('Content-Length')) || 0;
+
+    let body;
+
+    if (typeof response.body.getReader === 'function' && typeof ReadableStream !== 'undefined') {
+      const reader = response.body.getReader();
+
+      let loaded = 0;
+
+      body = new ReadableStream({
+        async pull(controller) {
+          const { done, value } = await reader.read();
+
+          if (done) {
+            controller.close();
+
+            return;
+          }
+
+          loaded += value.byteLength;
+
+          onDownloadProgress(FarFetchXHR.progress(loaded, total));
+
+          controller.enqueue(value);
+        },
+        cancel(reason) {
+          return reader.cancel(reason);
+        },
+      });
+    } else {
+      body = await response.arrayBuffer();
+
+      onDownloadProgress(FarFetchXHR.progress(body.byteLength, total || body.byteLength));
+    }
+
+    const progressResponse = new response.constructor(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+
+    // Not settable with the constructor
+    Object.defineProperty(progressResponse, 'url', { value: response.url });
+
+    return progressResponse;
+  }
+
+  /**
+   * Built-in middleware that makes the actual request. Always the last one.
+   *
+   * @private
+   * @param {MiddlewareContext} ctx - The middleware context.
+   * @returns {Promise<ResponsePlus>}
+   * @throws {HTTPError} Error when response status isn't successful, according to
+   * `validateStatus()`, or isn't in the 200-299 range by default.
+   */
+  async fetchMiddleware(ctx) {
+    const {
+      retry,
+      globalOnRetry,
+      timeout,
+      signal,
+      onUploadProgress,
+      onDownloadProgress,
+      responseType,
+      validateStatus,
+      baseURL = this.baseURL,
+    } = ctx.requestOptions;
+
+    // Custom Fetch API implementations and transports, like mocks or recorders, send the request
+    // instead of XMLHttpRequest, so the upload progress isn't reported
+    const useXHR = typeof onUploadProgress === 'function' && !this.fetchImplementation
+      && FarFetchXHR.isSupported();
+
+    const { fetchImplementation } = this;
+
+    if (!useXHR && !fetchImplementation && typeof fetch === 'undefined') {
+      throw new ValidationError('Fetch API is not available. Pass in an implementation with the fetch option.');
+    }
+
+    // Global fetch is looked up on every request, as it can be replaced, like by mocks
+    let transport = (fetchURL, fetchOptions) => (
+      (fetchImplementation ?? fetch)(fetchURL, fetchOptions)
+    );
+
+    if (useXHR) {
+      transport = (xhrURL, xhrOptions) => FarFetchXHR.fetch(xhrURL, xhrOptions, {
+        onUploadProgress,
+        onDownloadProgress,
+      });
+    }
+
+    // Each attempt waits for the rate limit, and its response adapts it
+    if (this.rateLimiter.enabled) {
+      const send = transport;
+
+      transport = (limitedURL, limitedOptions) => this.rateLimiter.run(
+        limitedURL,
+        () => send(limitedURL, limitedOptions),
+        { baseURL, signal: limitedOptions.signal },
+      );
+    }
+
+    let response = await this.fetchWithRetry({
+      url: ctx.url,
+      options: ctx.options,
+      retryOptions: FarFetchRetry.options(this.retry, retry),
+      globalOnRetry,
+      timeout,
+      elapsed: ctx.queueTime,
+      signal,
+      transport,
+    });
+
+    ctx.response = response;
+
+    if (validateStatus ? !validateStatus(response.status) : !response.ok) {
+      // Error bodies usually describe the error, whatever the response type of the request
+      ctx.response = await this.modifiedResponse(response, 'auto', ctx.options.method)
+        .catch(() => response);
+
+      throw new HTTPError(ctx.response);
+    }
+
+    // XMLHttpRequest already reported the download progress
+    if (typeof onDownloadProgress === 'function' && !useXHR) {
+      response = await FarFetch.trackDownloadProgress(response, onDownloadProgress);
+    }
+
+    ctx.response = await this.modifiedResponse(response, responseType, ctx.options.method);
+
+    return ctx.response;
+  }
+
+  /**
+   * Add a middleware, which runs on every request after the built-in hooks, in the order they were
+   * added. Each middleware can change `ctx.url` and `ctx.options` before calling `next()`, then
+   * change or replace `ctx.response` after awaiting it. Not calling `next()` short-circuits the
+   * request and catching its error swallows it.
+   *
+   * @param {middlewareCallback} middleware - The middleware.
+   * @returns {FarFetch} The FarFetch object, for chaining.
+   *
+   * @example
+   * ff.use(async (ctx, next) => {
+   *   const start = Date.now();
+   *
+   *   await next();
+   *
+   *   console.log(`${ctx.options.method} ${ctx.url} took ${Date.now() - start}ms`);
+   * });
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Middleware must be a function');
+    }
+
+    this.middlewares.push(middleware);
+
+    return this;
+  }
+
+  /**
+   * Create FarFetch object. Same as `new FarFetch(options)`.
+   *
+   * @param {Object} [options = {}] - Same options as the constructor.
+   * @returns {FarFetch}
+   *
+   * @example
+   * const ff = FarFetch.create({ baseURL: 'https://my-url.com' });
+   */
+  static create(options) {
+    return new FarFetch(options);
+  }
+
+  /**
+   * Create a client from an OpenAPI 3 document, with a method for each operation. Each method takes
+   * the params of the operation by name, with the request body as `body`, and the same options as
+   * `fetch()`. Only local references are resolved, so nothing is downloaded.
+   *
+   * @param {Object} spec - The parsed OpenAPI document.
+   * @param {Object} [options = {}] - Same options as the constructor. `baseURL` defaults to the URL
+   * of the first server.
+   * @returns {Object.<string, function(Object=, RequestOptions=): Promise<ResponsePlus>>} The
+   * client, with methods named after the `operationId`.
+   * @throws {ValidationError} Error when the document isn't supported.
+   *
+   * @example
+   * const api = FarFetch.fromOpenAPI(spec, { errorHandler });
+   *
+   * // GET /users/{id}?include=posts
+   * await api.getUser({ id: 23, include: 'posts' });
+   *
+   * // POST /users
+   * await api.createUser({ body: { name: 'Ada' } }, { errorMsgNoun: 'user' });
+   */
+  static fromOpenAPI(spec, options = {}) {
+    const ff = new FarFetch({ baseURL: FarFetchOpenAPI.serverURL(spec), ...options });
+
+    return FarFetchOpenAPI.client(ff, spec);
+  }
+
+  /**
+   * Create a FarFetch object whose requests are replied by a `MockTransport`, in its `mock`
+   * property, instead of being sent. Relative route patterns are relative to the `baseURL` option.
+   *
+   * @param {Object} [options = {}] - Same options as the constructor.
+   * @returns {FarFetch}
+   *
+   * @example
+   * const ff = FarFetch.mock({ baseURL: 'https://my-url.com' });
+   *
+   * ff.mock.get('/users', { json: [{ id: 1, name: 'Ada' }] });
+   *
+   * const { responseJSON } = await ff.get('users');
+   *
+   * expect(ff.mock.calls('/users')).toHaveLength(1);
+   */
+  static mock(options = {}) {
+    return new FarFetch({ ...options, fetch: new MockTransport({ baseURL: options.baseURL }) });
+  }
+
+  /**
+   * Create a child FarFetch object that inherits the options, hooks and middlewares of this one.
+   * Fetch API init options are deep merged, with the child's taking precedence. Hooks are combined,
+   * so the parent's run before the child's; `dynamicOptions()` returns are deep merged as well.
+   * Every other option is overridden.
+   *
+   * @param {Object} [overrides = {}] - Same options as the constructor.
+   * @returns {FarFetch} The child FarFetch object.
+   *
+   * @example
+   * const ff = new FarFetch({
+   *   baseURL: 'https://my-url.com',
+   *   errorHandler({ userMessage }) {
+   *     alert(userMessage);
+   *   },
+   * });
+   *
+   * const billing = ff.extend({
+   *   baseURL: 'https://billing.my-url.com',
+   *   headers: { 'X-Api-Version': '2' },
+   * });
+   */
+  extend(overrides = {}) {
+    const child = new FarFetch(overrides);
+
+    [
+      'baseURL',
+      'errorMsgTemplate',
+      'retry',
+      'timeout',
+      'auth',
+      'dedupe',
+      'responseType',
+      'validateStatus',
+      'throwOnError',
+      'paramsSerializer',
+      'formDataSerializer',
+    ].forEach((option) => {
+      if (overrides[option] === undefined) child[option] = this[option];
+    });
+
+    if (overrides.fetch === undefined) {
+      child.fetchImplementation = this.fetchImplementation;
+      child.mock = this.mock;
+    }
+
+    // Shared, so the limits apply to the requests of both
+    if (overrides.maxConcurrent === undefined) child.queue = this.queue;
+    if (overrides.rateLimit === undefined) child.rateLimiter = this.rateLimiter;
+
+    child.parsers = this.parsers.clone();
+
+    Object.entries(overrides.parsers ?? {}).forEach(([mimeType, parser]) => {
+      child.parsers.register(mimeType, parser);
+    });
+
+    if (!FarFetchHelper.isPlainObject(overrides.cache)) {
+      child.cacheOptions = this.cacheOptions;
+    }
+
+    ['dynamicOptions', 'beforeSend', 'afterSend', 'onRetry', 'errorHandler'].forEach((hook) => {
+      const hooks = [...FarFetch.hooks(this[hook]), ...FarFetch.hooks(overrides[hook])];
+
+      // Keep single hook as a function, so it can still be called directly
+      child[hook] = hooks.length > 1 ? hooks : hooks[0];
+    });
+
+    child.defaultOptions = deepMerge(this.defaultOptions, child.defaultOptions);
+
+    child.middlewares = [...this.middlewares];
+
+    return child;
+  }
+
+  /**
+   * Create a REST resource, with `list()`, `get()`, `create()`, `update()`, `patch()` and
+   * `remove()` methods for its endpoints. Errors use the `errorMsgNoun` of the resource, so the
+   * default error message template is kept.
+   *
+   * @param {string} path - Path of the resource, like `users` or `users/:userId/posts`.
+   * @param {Object} [options = {}] - Same options as the `FarFetchResource` constructor.
+   * @returns {FarFetchResource} The resource.
+   *
+   * @example
+   * const users = ff.resource('users', {
+   *   errorMsgNoun: 'user',
+   *   errorMsgNounPlural: 'users',
+   *   actions: {
+   *     archive: { method: 'POST', path: ':id/archive' },
+   *   },
+   * });
+   *
+   * await users.list(); // GET users
+   * await users.get(23); // GET users/23
+   * await users.archive({ pathParams: { id: 23 } }); // POST users/23/archive
+   */
+  resource(path, options) {
+    return new FarFetchResource(this, path, options);
+  }
+
+  /**
+   * Request function called on every CRUD function.
+   *
+   * @param {string} url - The URL.
+   * @param {Object} options
+   * @param {'GET'|'POST'|'PUT'|'PATCH'|'DELETE'|'HEAD'} options.method - The CRUD method.
+   * @param {...RequestOptions} [options.RequestOptions]
+   * @returns {Promise<ResponsePlus|RequestResult>} The response, or a `RequestResult` if
+   * `throwOnError` is `false`.
+   * @throws {RequestException}
+   *
+   * @example
+   * await ff.fetch('https://my-website.com/users', {
+   *  method: 'GET',
+   *  data: { id: 23 },
+   *  errorMsgNoun: 'users',
+   * });
+   */
+  async fetch(url, {
+    data = {},
+    URLParams = {},
+    files,
+    errorMsg = '',
+    errorMsgNoun = '',
+    globalBeforeSend = true,
+    globalAfterSend = true,
+    globalOnRetry = true,
+    defaultOptionsUsed = true,
+    retry,
+    timeout = this.timeout,
+    signal,
+    auth = true,
+    dedupe = this.dedupe,
+    priority,
+    onUploadProgress,
+    onDownloadProgress,
+    responseType = this.responseType,
+    validateStatus = this.validateStatus,
+    throwOnError = this.throwOnError,
+    paramsSerializer = this.paramsSerializer,
+    formDataSerializer = this.formDataSerializer,
+    pathParams,
+    baseURL = this.baseURL,
+    schema,
+    dataSchema,
+    ...rest
+  }) {
+    // Plain object or boolean is for the response cache, while a string is the Fetch API cache mode
+    const isResponseCache = rest.cache !== undefined && typeof rest.cache !== 'string';
+
+    const { cache, ...initOptions } = rest;
+
+    const ctx = {
+      requestURL: url,
+      url,
+      options: isResponseCache ? initOptions : rest,
+      requestOptions: {
+        data,
+        URLParams,
+        files,
+        errorMsg,
+        errorMsgNoun,
+        globalBeforeSend,
+        globalAfterSend,
+        globalOnRetry,
+        defaultOptionsUsed,
+        retry,
+        timeout,
+        signal,
+        auth,
+        cache: isResponseCache ? cache : undefined,
+        dedupe,
+        priority,
+        onUploadProgress,
+        onDownloadProgress,
+        responseType,
+        validateStatus,
+        paramsSerializer,
+        formDataSerializer,
+        pathParams,
+        baseURL,
+        schema,
+        dataSchema,
+      },
+      response: undefined,
+    };
+
+    const pipeline = this.compose([
+      this.dynamicOptionsMiddleware,
+      this.beforeSendMiddleware,
+      this.errorHandlerMiddleware,
+      this.afterSendMiddleware,
+      this.schemaMiddleware,
+      this.authMiddleware,
+      ...this.middlewares,
+      this.cacheMiddleware,
+      this.dedupeMiddleware,
+      this.queueMiddleware,
+      this.fetchMiddleware,
+    ]);
+
+    if (throwOnError) return pipeline(ctx);
+
+    try {
+      const response = await pipeline(ctx);
+
+      return {
+        ok: true,
+        data: response.responseData ?? null,
+        error: null,
+        response,
+      };
+    } catch (error) {
+      // Anything else is a bug rather than a failed request
+      if (!(error instanceof FarFetchError)) throw error;
+
+      return {
+        ok: false,
+        data: null,
+        error,
+        response: error.response ?? null,
+      };
+    }
   }
 
   /**
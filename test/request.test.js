@@ -1,13 +1,43 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
 import deepMerge from 'deepmerge';
 
 import fetchMock from 'fetch-mock-jest';
 
-import FarFetch, { FarFetchError } from '../src/far-fetch';
+import FarFetch, {
+  FarFetchError,
+  HTTPError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  ParseError,
+  ValidationError,
+  SchemaError,
+  MockTransport,
+  HARRecorder,
+  HARReplay,
+} from '../src/far-fetch';
+
+import FarFetchURL from '../src/far-fetch-url';
+import FarFetchXHR from '../src/far-fetch-xhr';
+import FarFetchOpenAPI from '../src/far-fetch-openapi';
+import openAPICLI from '../src/far-fetch-openapi-cli';
 
 beforeEach(() => {
   fetchMock.mockClear();
 });
 
+// Waits for the pending promises and timers to run
+const tick = () => new Promise((resolve) => setTimeout(resolve));
+
+// FarFetch object replying with mocked routes, without Fetch API
+const mockedFarFetch = (options = {}) => new FarFetch({
+  ...options,
+  fetch: new MockTransport({ baseURL: options.baseURL, Response: fetchMock.config.Response }),
+});
+
 describe('testing api calls', () => {
   const ff = new FarFetch();
 
@@ -22,9 +52,9 @@ describe('testing api calls', () => {
   };
 
   requestHeaderTypes.forEach((requestHeaderType) => {
-    it(`should successfully do a ${requestHeaderType} request`, () => {
-      requestTest(requestHeaderType.toLowerCase());
-    });
+    it(`should successfully do a ${requestHeaderType} request`, () => (
+      requestTest(requestHeaderType.toLowerCase())
+    ));
   });
 });
 
@@ -89,27 +119,27 @@ describe('testing data parameters', () => {
   };
 
   ['GET', 'HEAD', 'DELETE'].forEach((requestHeaderType) => {
-    it(`should successfully do a ${requestHeaderType} request with data parameters and automatically convert object and array types`, () => {
-      queryStringTest({ type: requestHeaderType.toLowerCase() });
-    });
+    it(`should successfully do a ${requestHeaderType} request with data parameters and automatically convert object and array types`, () => (
+      queryStringTest({ type: requestHeaderType.toLowerCase() })
+    ));
   });
 
   ['GET', 'HEAD', 'DELETE'].forEach((requestHeaderType) => {
-    it(`should successfully do a ${requestHeaderType} request with URLParams parameters and automatically convert object and array types`, () => {
-      queryStringTest({ type: requestHeaderType.toLowerCase(), URLParams: true });
-    });
+    it(`should successfully do a ${requestHeaderType} request with URLParams parameters and automatically convert object and array types`, () => (
+      queryStringTest({ type: requestHeaderType.toLowerCase(), URLParams: true })
+    ));
   });
 
   ['POST', 'PUT', 'PATCH'].forEach((requestHeaderType) => {
-    it(`should successfully do a ${requestHeaderType} request with data parameters`, () => {
-      bodyParamsTest(requestHeaderType.toLowerCase());
-    });
+    it(`should successfully do a ${requestHeaderType} request with data parameters`, () => (
+      bodyParamsTest(requestHeaderType.toLowerCase())
+    ));
   });
 
   ['DELETE', 'POST', 'PUT', 'PATCH'].forEach((requestHeaderType) => {
-    it(`should accept body property with a ${requestHeaderType} request`, () => {
-      bodyVanillaTest(requestHeaderType.toLowerCase());
-    });
+    it(`should accept body property with a ${requestHeaderType} request`, () => (
+      bodyVanillaTest(requestHeaderType.toLowerCase())
+    ));
   });
 });
 
@@ -196,21 +226,21 @@ describe('testing upload', () => {
   };
 
   requestHeaderTypes.forEach((requestHeaderType) => {
-    it(`should successfully upload a file with a ${requestHeaderType} request`, () => {
-      uploadSingleFile(requestHeaderType.toLowerCase());
-    });
+    it(`should successfully upload a file with a ${requestHeaderType} request`, () => (
+      uploadSingleFile(requestHeaderType.toLowerCase())
+    ));
   });
 
   requestHeaderTypes.forEach((requestHeaderType) => {
-    it(`should successfully multiple files with a ${requestHeaderType} request`, () => {
-      uploadMultipleFiles(requestHeaderType.toLowerCase());
-    });
+    it(`should successfully multiple files with a ${requestHeaderType} request`, () => (
+      uploadMultipleFiles(requestHeaderType.toLowerCase())
+    ));
   });
 
   requestHeaderTypes.forEach((requestHeaderType) => {
-    it(`should successfully upload multiple categories of files with a ${requestHeaderType} request`, () => {
-      uploadMultipleCatFiles(requestHeaderType.toLowerCase());
-    });
+    it(`should successfully upload multiple categories of files with a ${requestHeaderType} request`, () => (
+      uploadMultipleCatFiles(requestHeaderType.toLowerCase())
+    ));
   });
 });
 
@@ -668,3 +698,2915 @@ describe('testing automatically transforming response body, but allowing manual
     expect(response).toEqual(responseParam);
   });
 });
+
+describe('testing retry', () => {
+  it('should retry a GET request on a retryable status code and run onRetry() hook', async () => {
+    const onRetryMock = jest.fn();
+
+    const ff = new FarFetch({ onRetry: onRetryMock, retry: { limit: 2, delay: 1 } });
+
+    fetchMock
+      .get('http://example.com/retry1', 503, { repeat: 1 })
+      .get('http://example.com/retry1', 200, { overwriteRoutes: false });
+
+    const response = await ff.get('http://example.com/retry1');
+
+    expect(response.status).toEqual(200);
+
+    expect(fetchMock).toHaveFetchedTimes(2, 'http://example.com/retry1');
+
+    expect(onRetryMock).toHaveBeenCalledTimes(1);
+
+    const { attempt, response: retryResponse } = onRetryMock.mock.calls[0][0];
+
+    expect(attempt).toBe(1);
+
+    expect(retryResponse.status).toBe(503);
+  });
+
+  it('should NOT retry a POST request by default', async () => {
+    const ff = new FarFetch({ retry: { limit: 2, delay: 1 } });
+
+    fetchMock.post('http://example.com/retry2', 503);
+
+    await expect(ff.post('http://example.com/retry2')).rejects.toThrow(FarFetchError);
+
+    expect(fetchMock).toHaveFetchedTimes(1, 'http://example.com/retry2');
+  });
+
+  it('should retry network errors and run errorHandler() only after the last attempt', async () => {
+    const errorHandlerMock = jest.fn();
+
+    const ff = new FarFetch({ errorHandler: errorHandlerMock });
+
+    fetchMock.get('http://example.com/retry3', { throws: new TypeError('Failed to fetch') });
+
+    await expect(
+      ff.get('http://example.com/retry3', { retry: { limit: 2, delay: 1 }, errorMsgNoun: 'user' }),
+    ).rejects.toThrow(NetworkError);
+
+    expect(fetchMock).toHaveFetchedTimes(3, 'http://example.com/retry3');
+
+    expect(errorHandlerMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should use the Retry-After header as the delay', async () => {
+    const onRetryMock = jest.fn();
+
+    const ff = new FarFetch({ onRetry: onRetryMock });
+
+    fetchMock
+      .get('http://example.com/retry4', { status: 429, headers: { 'Retry-After': '0' } }, { repeat: 1 })
+      .get('http://example.com/retry4', 200, { overwriteRoutes: false });
+
+    await ff.get('http://example.com/retry4', { retry: 1 });
+
+    const { delay } = onRetryMock.mock.calls[0][0];
+
+    expect(delay).toBe(0);
+  });
+
+  it('should retry twice when retry is set to true', async () => {
+    const ff = new FarFetch({ retry: { delay: 1 } });
+
+    fetchMock.get('http://example.com/retry8', 503);
+
+    await expect(ff.get('http://example.com/retry8', { retry: true })).rejects.toThrow(HTTPError);
+
+    expect(fetchMock).toHaveFetchedTimes(3, 'http://example.com/retry8');
+
+    fetchMock.resetHistory();
+
+    // A limit already set is kept
+    const child = ff.extend({ retry: { limit: 1, delay: 1 } });
+
+    await expect(child.get('http://example.com/retry8', { retry: true })).rejects.toThrow(HTTPError);
+
+    expect(fetchMock).toHaveFetchedTimes(2, 'http://example.com/retry8');
+  });
+
+  it('should NOT retry when Retry-After is longer than maxRetryAfter', async () => {
+    const ff = new FarFetch({ retry: { limit: 2, maxRetryAfter: 1000 } });
+
+    fetchMock.get('http://example.com/retry5', { status: 503, headers: { 'Retry-After': '120' } });
+
+    await expect(ff.get('http://example.com/retry5')).rejects.toThrow(FarFetchError);
+
+    expect(fetchMock).toHaveFetchedTimes(1, 'http://example.com/retry5');
+  });
+
+  it('should NOT wait longer than a minute for Retry-After by default', async () => {
+    const ff = new FarFetch({ retry: 2 });
+
+    fetchMock.get('http://example.com/retry6', { status: 503, headers: { 'Retry-After': '3600' } });
+
+    await expect(ff.get('http://example.com/retry6')).rejects.toThrow(HTTPError);
+
+    expect(fetchMock).toHaveFetchedTimes(1, 'http://example.com/retry6');
+  });
+
+  it('should stop waiting to retry when the request is cancelled', async () => {
+    const ff = new FarFetch({ retry: { limit: 2, backoff: 'fixed', delay: 2000 } });
+
+    fetchMock.get('http://example.com/retry7', 503);
+
+    const controller = new AbortController();
+
+    const start = Date.now();
+
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(ff.get('http://example.com/retry7', { signal: controller.signal }))
+      .rejects.toBeInstanceOf(AbortError);
+
+    expect(Date.now() - start).toBeLessThan(1000);
+    expect(fetchMock).toHaveFetchedTimes(1, 'http://example.com/retry7');
+  });
+});
+
+describe('testing timeout and cancellation', () => {
+  it('should throw FarFetchError with ETIMEDOUT code when the request times out', async () => {
+    const errorHandlerMock = jest.fn();
+
+    const ff = new FarFetch({ timeout: 20, errorHandler: errorHandlerMock });
+
+    fetchMock.get('http://example.com/timeout1', 200, { delay: 500 });
+
+    await expect(
+      ff.get('http://example.com/timeout1', { errorMsgNoun: 'users' }),
+    ).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+
+    const { error } = errorHandlerMock.mock.calls[0][0];
+
+    expect(error instanceof FarFetchError).toBe(true);
+
+    expect(error.code).toBe('ETIMEDOUT');
+  });
+
+  it('should let a single request override the timeout', async () => {
+    const ff = new FarFetch({ timeout: 20 });
+
+    fetchMock.get('http://example.com/timeout2', 200, { delay: 50 });
+
+    const response = await ff.get('http://example.com/timeout2', { timeout: 0 });
+
+    expect(response.status).toEqual(200);
+  });
+
+  it('should throw FarFetchError with EABORTED code when the signal is aborted', async () => {
+    const ff = new FarFetch({ retry: { limit: 2, delay: 1 } });
+
+    const controller = new AbortController();
+
+    fetchMock.get('http://example.com/abort1', 200, { delay: 500 });
+
+    const request = ff.get('http://example.com/abort1', { signal: controller.signal });
+
+    // Once the request is sent
+    setTimeout(() => controller.abort());
+
+    await expect(request).rejects.toMatchObject({ code: 'EABORTED' });
+
+    expect(fetchMock).toHaveFetchedTimes(1, 'http://example.com/abort1');
+  });
+
+  it('should NOT deep clone the signal with the default options', async () => {
+    const ff = new FarFetch({ headers: { Accept: 'application/json' } });
+
+    const controller = new AbortController();
+
+    fetchMock.get('http://example.com/abort2', 200, { delay: 500 });
+
+    const request = ff.get('http://example.com/abort2', { signal: controller.signal });
+
+    // Once the request is sent
+    setTimeout(() => controller.abort());
+
+    await expect(request).rejects.toThrow(FarFetchError);
+
+    const { signal } = fetchMock.mock.calls[0][1];
+
+    expect(signal).toBeInstanceOf(AbortSignal);
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('should NOT send the request when the signal is already aborted', async () => {
+    const ff = new FarFetch();
+
+    const controller = new AbortController();
+
+    fetchMock.get('http://example.com/abort3', 200);
+
+    controller.abort();
+
+    await expect(ff.get('http://example.com/abort3', { signal: controller.signal }))
+      .rejects.toBeInstanceOf(AbortError);
+
+    await expect(ff.post('http://example.com/abort3', {
+      signal: controller.signal,
+      onUploadProgress: () => {},
+    })).rejects.toBeInstanceOf(AbortError);
+
+    expect(fetchMock).not.toHaveFetched('http://example.com/abort3');
+  });
+});
+
+describe('testing middlewares', () => {
+  it('should run middlewares in order around the request and allow changing url and options', async () => {
+    const order = [];
+
+    const ff = new FarFetch({
+      beforeSend: () => order.push('beforeSend'),
+      afterSend: () => order.push('afterSend'),
+    });
+
+    ff
+      .use(async (ctx, next) => {
+        order.push('first before');
+
+        ctx.options.headers = { ...ctx.options.headers, 'X-Trace-Id': '123' };
+
+        await next();
+
+        order.push('first after');
+      })
+      .use(async (ctx, next) => {
+        order.push('second before');
+
+        ctx.url = ctx.url.replace('/mw1', '/mw1-changed');
+
+        await next();
+
+        order.push('second after');
+      });
+
+    fetchMock.get('http://example.com/mw1-changed', 200);
+
+    const response = await ff.get('http://example.com/mw1');
+
+    expect(response.status).toBe(200);
+
+    expect(fetchMock.mock.calls[0][1].headers).toEqual({ 'X-Trace-Id': '123' });
+
+    expect(order).toEqual([
+      'beforeSend',
+      'first before',
+      'second before',
+      'second after',
+      'first after',
+      'afterSend',
+    ]);
+  });
+
+  it('should allow a middleware to replace the response', async () => {
+    const ff = new FarFetch();
+
+    ff.use(async (ctx, next) => {
+      await next();
+
+      ctx.response.responseJSON = { replaced: true };
+    });
+
+    fetchMock.get('http://example.com/mw2', { status: 200, body: { replaced: false } });
+
+    const { responseJSON } = await ff.get('http://example.com/mw2');
+
+    expect(responseJSON).toEqual({ replaced: true });
+  });
+
+  it('should allow a middleware to short-circuit with a synthetic response', async () => {
+    const afterSendMock = jest.fn();
+
+    const ff = new FarFetch({ afterSend: afterSendMock });
+
+    const data = { cached: true };
+
+    ff.use(() => new fetchMock.config.Response(JSON.stringify(data), {
+      headers: { 'Content-Type': 'application/json' },
+    }));
+
+    const response = await ff.get('http://example.com/mw3');
+
+    expect(fetchMock).not.toHaveFetched('http://example.com/mw3');
+
+    expect(response.responseJSON).toEqual(data);
+
+    expect(afterSendMock).toHaveBeenCalledWith(response);
+  });
+
+  it('should allow a middleware to swallow errors without running errorHandler()', async () => {
+    const errorHandlerMock = jest.fn();
+
+    const ff = new FarFetch({ errorHandler: errorHandlerMock });
+
+    ff.use(async (ctx, next) => {
+      try {
+        await next();
+      } catch {
+        ctx.response = { status: 404, responseJSON: [], responseText: null };
+      }
+    });
+
+    fetchMock.get('http://example.com/mw4', 404);
+
+    const response = await ff.get('http://example.com/mw4', { errorMsgNoun: 'users' });
+
+    expect(response.responseJSON).toEqual([]);
+
+    expect(errorHandlerMock).not.toHaveBeenCalled();
+  });
+
+  it('should throw a TypeError if middleware is not a function', () => {
+    const ff = new FarFetch();
+
+    expect(() => ff.use({})).toThrow(TypeError);
+  });
+});
+
+describe('testing auth', () => {
+  const authorizedResponse = (url, { headers }) => (
+    headers.Authorization === 'Bearer new-token' ? 200 : 401
+  );
+
+  it('should inject the token and refresh it, then replay the request on 401', async () => {
+    let token = 'old-token';
+
+    const refreshTokenMock = jest.fn(async () => {
+      token = 'new-token';
+    });
+
+    const ff = new FarFetch({
+      auth: { getToken: () => token, refreshToken: refreshTokenMock },
+    });
+
+    fetchMock.get('http://example.com/auth1', authorizedResponse);
+
+    const response = await ff.get('http://example.com/auth1');
+
+    expect(response.status).toBe(200);
+
+    expect(refreshTokenMock).toHaveBeenCalledTimes(1);
+
+    expect(fetchMock.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer old-token' });
+
+    expect(fetchMock.mock.calls[1][1].headers).toEqual({ Authorization: 'Bearer new-token' });
+  });
+
+  it('should refresh the token only once for concurrent 401 responses', async () => {
+    let token = 'old-token';
+
+    const refreshTokenMock = jest.fn(async () => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      token = 'new-token';
+
+      return token;
+    });
+
+    const errorHandlerMock = jest.fn();
+
+    const ff = new FarFetch({
+      auth: { getToken: () => token, refreshToken: refreshTokenMock },
+      errorHandler: errorHandlerMock,
+    });
+
+    fetchMock.get('http://example.com/auth2', authorizedResponse);
+
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () => ff.get('http://example.com/auth2', { errorMsgNoun: 'user' })),
+    );
+
+    responses.forEach((response) => expect(response.status).toBe(200));
+
+    expect(refreshTokenMock).toHaveBeenCalledTimes(1);
+
+    expect(errorHandlerMock).not.toHaveBeenCalled();
+  });
+
+  it('should run errorHandler() when refreshing the token fails', async () => {
+    const refreshError = new Error('Session expired');
+
+    const errorHandlerMock = jest.fn();
+
+    const ff = new FarFetch({
+      auth: {
+        getToken: () => 'old-token',
+        refreshToken: () => Promise.reject(refreshError),
+      },
+      errorHandler: errorHandlerMock,
+    });
+
+    fetchMock.get('http://example.com/auth3', authorizedResponse);
+
+    await expect(
+      ff.get('http://example.com/auth3', { errorMsgNoun: 'user' }),
+    ).rejects.toThrow(FarFetchError);
+
+    const { error, response } = errorHandlerMock.mock.calls[0][0];
+
+    expect(error).toMatchObject({ code: 'EAUTH', cause: refreshError });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should resolve to a result with ff.safe when refreshing the token fails', async () => {
+    const ff = new FarFetch({
+      auth: {
+        getToken: () => 'old-token',
+        refreshToken: () => Promise.reject(new TypeError('Failed to fetch')),
+      },
+    });
+
+    fetchMock.get('http://example.com/auth5', authorizedResponse);
+
+    const { ok, error, response } = await ff.safe.get('http://example.com/auth5');
+
+    expect(ok).toBe(false);
+    expect(error).toBeInstanceOf(FarFetchError);
+    expect(error.code).toBe('EAUTH');
+    expect(error.cause).toBeInstanceOf(TypeError);
+    expect(response.status).toBe(401);
+  });
+
+  it('should NOT inject the token when auth is set to false', async () => {
+    const ff = new FarFetch({
+      auth: { getToken: () => 'token', refreshToken: jest.fn() },
+    });
+
+    fetchMock.post('http://example.com/auth4', 200);
+
+    await ff.post('http://example.com/auth4', { auth: false });
+
+    expect(fetchMock.mock.calls[0][1].headers).toBeUndefined();
+  });
+});
+
+describe('testing extend', () => {
+  it('should inherit and deep merge the options of the parent', async () => {
+    const errorMsgTemplate = () => 'Something went wrong';
+
+    const ff = new FarFetch({
+      baseURL: 'http://example.com',
+      errorMsgTemplate,
+      headers: { Accept: 'application/json', 'X-Api-Version': '1' },
+      dynamicOptions: () => ({ headers: { Authorization: 'Bearer parent' } }),
+    });
+
+    const child = ff.extend({
+      baseURL: 'http://other.example.com',
+      headers: { 'X-Api-Version': '2' },
+      dynamicOptions: () => ({ cache: 'reload' }),
+    });
+
+    fetchMock.get('http://other.example.com/extend1', 200);
+
+    await child.get('/extend1');
+
+    expect(fetchMock.mock.calls[0][1]).toEqual({
+      method: 'GET',
+      cache: 'reload',
+      headers: {
+        Accept: 'application/json',
+        'X-Api-Version': '2',
+        Authorization: 'Bearer parent',
+      },
+    });
+
+    expect(child).toBeInstanceOf(FarFetch);
+
+    expect(child.errorMsgTemplate).toBe(errorMsgTemplate);
+
+    expect(ff.baseURL).toBe('http://example.com');
+  });
+
+  it('should run the hooks and middlewares of the parent before the child', async () => {
+    const order = [];
+
+    const ff = new FarFetch({
+      beforeSend: () => order.push('parent beforeSend'),
+      afterSend: () => order.push('parent afterSend'),
+    });
+
+    ff.use(async (ctx, next) => {
+      order.push('parent middleware');
+
+      return next();
+    });
+
+    const child = ff.extend({
+      beforeSend: () => order.push('child beforeSend'),
+      afterSend: [() => order.push('child afterSend')],
+    });
+
+    child.use(async (ctx, next) => {
+      order.push('child middleware');
+
+      return next();
+    });
+
+    fetchMock.get('http://example.com/extend2', 200);
+
+    await child.get('http://example.com/extend2');
+
+    expect(order).toEqual([
+      'parent beforeSend',
+      'child beforeSend',
+      'parent middleware',
+      'child middleware',
+      'parent afterSend',
+      'child afterSend',
+    ]);
+
+    expect(ff.middlewares).toHaveLength(1);
+  });
+
+  it('should create FarFetch object with FarFetch.create()', () => {
+    const ff = FarFetch.create({ baseURL: 'http://example.com' });
+
+    expect(ff).toBeInstanceOf(FarFetch);
+
+    expect(ff.baseURL).toBe('http://example.com');
+  });
+});
+
+describe('testing response cache', () => {
+  it('should return a cached response while fresh', async () => {
+    const ff = new FarFetch({ cache: { ttl: 60000 } });
+
+    const data = { name: 'Bobby Big Boy' };
+
+    fetchMock.get('http://example.com/cache1', { body: data, headers: { 'Content-Type': 'application/json' } });
+
+    const firstResponse = await ff.get('http://example.com/cache1');
+
+    const response = await ff.get('http://example.com/cache1');
+
+    expect(fetchMock).toHaveFetchedTimes(1, 'http://example.com/cache1');
+
+    expect(firstResponse.responseJSON).toEqual(data);
+
+    expect(response.responseJSON).toEqual(data);
+
+    expect(await response.json()).toEqual(data);
+  });
+
+  it('should keep the Fetch API cache mode when cache is a string', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/cache2', 200);
+
+    await ff.get('http://example.com/cache2', { cache: 'no-store' });
+
+    await ff.get('http://example.com/cache2', { cache: 'no-store' });
+
+    expect(fetchMock).toHaveFetchedTimes(2, 'http://example.com/cache2');
+
+    expect(fetchMock.mock.calls[0][1].cache).toBe('no-store');
+  });
+
+  it('should NOT cache different Authorization headers together nor non-GET requests', async () => {
+    const ff = new FarFetch({ cache: { ttl: 60000 } });
+
+    fetchMock.get('http://example.com/cache3', 200);
+    fetchMock.post('http://example.com/cache3', 200);
+
+    await ff.get('http://example.com/cache3', { headers: { Authorization: 'Bearer a' } });
+    await ff.get('http://example.com/cache3', { headers: { Authorization: 'Bearer b' } });
+    await ff.post('http://example.com/cache3');
+    await ff.post('http://example.com/cache3');
+
+    expect(fetchMock).toHaveFetchedTimes(4, 'http://example.com/cache3');
+  });
+
+  it('should return the stale response and revalidate it in the background', async () => {
+    const ff = new FarFetch();
+
+    fetchMock
+      .get('http://example.com/cache4', { body: 'first', headers: { 'Content-Type': 'text/plain' } }, { repeat: 1 })
+      .get('http://example.com/cache4', { body: 'second', headers: { 'Content-Type': 'text/plain' } }, { overwriteRoutes: false });
+
+    const cache = { ttl: 0, staleWhileRevalidate: 60000 };
+
+    await ff.get('http://example.com/cache4', { cache });
+
+    const staleResponse = await ff.get('http://example.com/cache4', { cache });
+
+    expect(staleResponse.responseText).toBe('first');
+
+    await fetchMock.flush(true);
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    const revalidatedResponse = await ff.get('http://example.com/cache4', { cache });
+
+    expect(revalidatedResponse.responseText).toBe('second');
+  });
+
+  it('should use conditional requests with ETag and reuse the response on 304', async () => {
+    const ff = new FarFetch({ cache: {} });
+
+    fetchMock
+      .get('http://example.com/cache5', {
+        body: { id: 1 },
+        headers: { 'Content-Type': 'application/json', ETag: '"v1"', 'Cache-Control': 'no-cache' },
+      }, { repeat: 1 })
+      .get('http://example.com/cache5', 304, { overwriteRoutes: false });
+
+    await ff.get('http://example.com/cache5');
+
+    const response = await ff.get('http://example.com/cache5');
+
+    expect(fetchMock.mock.calls[1][1].headers).toEqual({ 'If-None-Match': '"v1"' });
+
+    expect(response.status).toBe(200);
+
+    expect(response.responseJSON).toEqual({ id: 1 });
+  });
+
+  it('should NOT cache responses with Cache-Control: no-store', async () => {
+    const ff = new FarFetch({ cache: { ttl: 60000 } });
+
+    fetchMock.get('http://example.com/cache6', { status: 200, headers: { 'Cache-Control': 'no-store' } });
+
+    await ff.get('http://example.com/cache6');
+    await ff.get('http://example.com/cache6');
+
+    expect(fetchMock).toHaveFetchedTimes(2, 'http://example.com/cache6');
+  });
+
+  it('should invalidate cached responses by URL prefix', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com', cache: { ttl: 60000 } });
+
+    fetchMock.get('begin:http://example.com/cache7', 200);
+
+    await ff.get('/cache7/users');
+    await ff.get('/cache7/users', { data: { page: 2 } });
+    await ff.get('/cache7/posts');
+
+    ff.cache.invalidate('/cache7/users');
+
+    await ff.get('/cache7/users');
+    await ff.get('/cache7/users', { data: { page: 2 } });
+    await ff.get('/cache7/posts');
+
+    expect(fetchMock).toHaveFetchedTimes(5, 'begin:http://example.com/cache7');
+  });
+
+  it('should NOT invalidate sibling paths sharing the prefix', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com', cache: { ttl: 60000 } });
+
+    fetchMock.get('begin:http://example.com/cache8', 200);
+
+    await ff.get('/cache8/users/23');
+    await ff.get('/cache8/users-archive');
+
+    ff.cache.invalidate('/cache8/users');
+
+    await ff.get('/cache8/users/23');
+    await ff.get('/cache8/users-archive');
+
+    expect(fetchMock).toHaveFetchedTimes(2, 'http://example.com/cache8/users/23');
+    expect(fetchMock).toHaveFetchedTimes(1, 'http://example.com/cache8/users-archive');
+  });
+});
+
+describe('testing request deduplication', () => {
+  it('should share the in-flight request of identical concurrent GET requests', async () => {
+    const ff = new FarFetch();
+
+    const data = { id: 1 };
+
+    fetchMock.get('http://example.com/dedupe1', {
+      body: data,
+      headers: { 'Content-Type': 'application/json' },
+    }, { delay: 10 });
+
+    const responses = await Promise.all([
+      ff.get('http://example.com/dedupe1'),
+      ff.get('http://example.com/dedupe1'),
+      ff.get('http://example.com/dedupe1'),
+    ]);
+
+    expect(fetchMock).toHaveFetchedTimes(1, 'http://example.com/dedupe1');
+
+    const bodies = await Promise.all(responses.map((response) => response.json()));
+
+    responses.forEach((response, index) => {
+      expect(response.responseJSON).toEqual(data);
+
+      expect(bodies[index]).toEqual(data);
+    });
+
+    expect(responses[0]).not.toBe(responses[1]);
+  });
+
+  it('should share the error of identical concurrent GET requests', async () => {
+    const errorHandlerMock = jest.fn();
+
+    const ff = new FarFetch({ errorHandler: errorHandlerMock });
+
+    fetchMock.get('http://example.com/dedupe2', 500, { delay: 10 });
+
+    const requests = [
+      ff.get('http://example.com/dedupe2', { errorMsgNoun: 'user' }),
+      ff.get('http://example.com/dedupe2', { errorMsgNoun: 'user' }),
+    ];
+
+    await Promise.all(requests.map((request) => expect(request).rejects.toThrow(FarFetchError)));
+
+    expect(fetchMock).toHaveFetchedTimes(1, 'http://example.com/dedupe2');
+
+    expect(errorHandlerMock).toHaveBeenCalledTimes(2);
+
+    expect(errorHandlerMock.mock.calls[1][0].response.status).toBe(500);
+  });
+
+  it('should give each request sharing an error its own error and response', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/dedupe5', { status: 500, body: { message: 'Oops' } }, {
+      delay: 10,
+    });
+
+    const [first, second] = await Promise.allSettled([
+      ff.get('http://example.com/dedupe5'),
+      ff.get('http://example.com/dedupe5'),
+    ]);
+
+    expect(fetchMock).toHaveFetchedTimes(1, 'http://example.com/dedupe5');
+
+    expect(first.reason).toBeInstanceOf(HTTPError);
+    expect(second.reason).toBeInstanceOf(HTTPError);
+    expect(first.reason).not.toBe(second.reason);
+    expect(first.reason.response).not.toBe(second.reason.response);
+
+    expect(first.reason.response.responseJSON).toEqual({ message: 'Oops' });
+    expect(second.reason.response.responseJSON).toEqual({ message: 'Oops' });
+    expect(second.reason).toMatchObject({ code: 'EHTTP', status: 500 });
+  });
+
+  it('should NOT share requests when dedupe is set to false or for POST requests', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/dedupe3', 200, { delay: 10 });
+    fetchMock.post('http://example.com/dedupe3', 200, { delay: 10 });
+
+    await Promise.all([
+      ff.get('http://example.com/dedupe3'),
+      ff.get('http://example.com/dedupe3', { dedupe: false }),
+      ff.post('http://example.com/dedupe3'),
+      ff.post('http://example.com/dedupe3'),
+    ]);
+
+    expect(fetchMock).toHaveFetchedTimes(4, 'http://example.com/dedupe3');
+  });
+
+  it('should NOT share requests with their own validateStatus, retry or timeout', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/dedupe4', 404, { delay: 10 });
+
+    const [lenient, plain] = await Promise.allSettled([
+      ff.get('http://example.com/dedupe4', { validateStatus: (status) => status < 500 }),
+      ff.get('http://example.com/dedupe4'),
+      ff.get('http://example.com/dedupe4', { retry: 0 }),
+      ff.get('http://example.com/dedupe4', { timeout: 1000 }),
+    ]);
+
+    expect(lenient.status).toBe('fulfilled');
+    expect(plain.status).toBe('rejected');
+    expect(plain.reason).toBeInstanceOf(HTTPError);
+    expect(fetchMock).toHaveFetchedTimes(4, 'http://example.com/dedupe4');
+  });
+});
+
+describe('testing progress events', () => {
+  it('should report the download progress', async () => {
+    const ff = new FarFetch();
+
+    const onDownloadProgress = jest.fn();
+
+    fetchMock.get('http://example.com/progress1', {
+      body: { name: 'Bob' },
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    const response = await ff.get('http://example.com/progress1', { onDownloadProgress });
+
+    expect(response.responseJSON).toEqual({ name: 'Bob' });
+
+    expect(response.url).toBe('http://example.com/progress1');
+
+    expect(onDownloadProgress).toHaveBeenLastCalledWith({ loaded: 14, total: 14, percent: 100 });
+  });
+
+  const { XMLHttpRequest, Response } = global;
+
+  const mockXMLHttpRequest = (send) => {
+    global.XMLHttpRequest = class {
+      constructor() {
+        this.upload = {};
+        this.requestHeaders = {};
+        this.responseHeaders = '';
+      }
+
+      open(method, url) {
+        this.method = method;
+        this.url = url;
+      }
+
+      setRequestHeader(name, value) {
+        this.requestHeaders[name] = value;
+      }
+
+      getAllResponseHeaders() {
+        return this.responseHeaders;
+      }
+
+      send(body) {
+        this.body = body;
+
+        send(this);
+      }
+    };
+  };
+
+  afterEach(() => {
+    global.XMLHttpRequest = XMLHttpRequest;
+    global.Response = Response;
+  });
+
+  it('should report the upload progress with XMLHttpRequest', async () => {
+    let sentXHR;
+
+    global.Response = fetchMock.config.Response;
+
+    mockXMLHttpRequest((xhr) => {
+      sentXHR = xhr;
+
+      xhr.upload.onprogress({ loaded: 50, total: 200, lengthComputable: true });
+      xhr.upload.onprogress({ loaded: 200, total: 200, lengthComputable: true });
+      xhr.onprogress({ loaded: 14, total: 14, lengthComputable: true });
+
+      Object.assign(xhr, {
+        status: 201,
+        statusText: 'Created',
+        responseURL: xhr.url,
+        responseHeaders: 'content-type: application/json\r\ncontent-length: 14\r\n',
+        response: Uint8Array.from(Buffer.from('{"name":"Bob"}')).buffer,
+      });
+
+      setTimeout(() => xhr.onload());
+    });
+
+    const ff = new FarFetch();
+
+    const onUploadProgress = jest.fn();
+    const onDownloadProgress = jest.fn();
+
+    const response = await ff.post('http://example.com/progress2', {
+      data: { name: 'Bob' },
+      files: new File(['content'], 'file.txt'),
+      onUploadProgress,
+      onDownloadProgress,
+    });
+
+    expect(response.status).toBe(201);
+
+    expect(response.url).toBe('http://example.com/progress2');
+
+    expect(response.responseJSON).toEqual({ name: 'Bob' });
+
+    expect(fetchMock).not.toHaveFetched('http://example.com/progress2');
+
+    expect(sentXHR.method).toBe('POST');
+
+    expect(sentXHR.body).toBeInstanceOf(FormData);
+
+    expect(onUploadProgress.mock.calls).toEqual([
+      [{ loaded: 50, total: 200, percent: 25 }],
+      [{ loaded: 200, total: 200, percent: 100 }],
+    ]);
+
+    expect(onDownloadProgress).toHaveBeenCalledTimes(1);
+
+    expect(onDownloadProgress).toHaveBeenCalledWith({ loaded: 14, total: 14, percent: 100 });
+  });
+
+  it('should reject with a network error when XMLHttpRequest fails', async () => {
+    mockXMLHttpRequest((xhr) => {
+      setTimeout(() => xhr.onerror());
+    });
+
+    const ff = new FarFetch();
+
+    await expect(ff.post('http://example.com/progress3', {
+      data: { name: 'Bob' },
+      onUploadProgress: () => {},
+    })).rejects.toThrow('Network request failed');
+  });
+
+  it('should NOT use XMLHttpRequest when the fetch option is set', async () => {
+    const send = jest.fn();
+
+    mockXMLHttpRequest(send);
+
+    const fetchImplementation = jest.fn(() => Promise.resolve(new fetchMock.config.Response('')));
+
+    const ff = new FarFetch({ fetch: fetchImplementation });
+
+    await ff.post('http://example.com/progress6', {
+      data: { name: 'Bob' },
+      onUploadProgress: () => {},
+    });
+
+    expect(fetchImplementation).toHaveBeenCalledTimes(1);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('should send headers in every format of Fetch API with XMLHttpRequest', async () => {
+    const sentXHRs = [];
+
+    global.Response = fetchMock.config.Response;
+
+    mockXMLHttpRequest((xhr) => {
+      sentXHRs.push(xhr);
+
+      Object.assign(xhr, { status: 204, statusText: 'No Content', response: null });
+
+      setTimeout(() => xhr.onload());
+    });
+
+    const headers = { 'X-Trace': 'abc', Accept: 'application/json' };
+
+    await FarFetchXHR.fetch('http://example.com/progress7', { headers: Object.entries(headers) });
+    await FarFetchXHR.fetch('http://example.com/progress7', { headers: new Headers(headers) });
+    await FarFetchXHR.fetch('http://example.com/progress7', { headers });
+
+    sentXHRs.forEach((xhr) => {
+      expect(xhr.requestHeaders).toEqual({ 'x-trace': 'abc', accept: 'application/json' });
+    });
+  });
+
+  it('should remove the abort listener of XMLHttpRequest whatever the outcome', async () => {
+    mockXMLHttpRequest((xhr) => {
+      setTimeout(() => xhr.onerror());
+    });
+
+    const controller = new AbortController();
+
+    const removeEventListener = jest.spyOn(controller.signal, 'removeEventListener');
+
+    await expect(FarFetchXHR.fetch('http://example.com/progress4', {
+      method: 'POST',
+      signal: controller.signal,
+    })).rejects.toThrow('Network request failed');
+
+    expect(removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+
+    const aborted = new AbortController();
+
+    aborted.abort();
+
+    await expect(FarFetchXHR.fetch('http://example.com/progress5', { signal: aborted.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('testing response types', () => {
+  it('should parse structured syntax suffixes and text types in auto mode', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/type1', {
+      body: { title: 'Not Found' },
+      headers: { 'Content-Type': 'application/problem+json; charset=utf-8' },
+    });
+
+    fetchMock.get('http://example.com/type2', {
+      body: '<p>Hi</p>',
+      headers: { 'Content-Type': 'text/html' },
+    });
+
+    fetchMock.get('http://example.com/type3', {
+      body: '<note />',
+      headers: { 'Content-Type': 'application/atom+xml' },
+    });
+
+    const jsonResponse = await ff.get('http://example.com/type1');
+    const htmlResponse = await ff.get('http://example.com/type2');
+    const xmlResponse = await ff.get('http://example.com/type3');
+
+    expect(jsonResponse.responseJSON).toEqual({ title: 'Not Found' });
+    expect(jsonResponse.responseData).toEqual({ title: 'Not Found' });
+
+    expect(htmlResponse.responseText).toBe('<p>Hi</p>');
+    expect(htmlResponse.responseJSON).toBeNull();
+
+    expect(xmlResponse.responseText).toBe('<note />');
+  });
+
+  it('should parse binary responses as Blob in auto mode', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/type4', {
+      body: Buffer.from([1, 2, 3]),
+      headers: { 'Content-Type': 'image/png' },
+    }, { sendAsJson: false });
+
+    const response = await ff.get('http://example.com/type4');
+
+    expect(response.responseJSON).toBeNull();
+    expect(response.responseText).toBeNull();
+    expect(response.responseData.size).toBe(3);
+  });
+
+  it('should parse the body according to the responseType option', async () => {
+    const ff = new FarFetch({ responseType: 'text' });
+
+    fetchMock.get('http://example.com/type5', {
+      body: { id: 1 },
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    const textResponse = await ff.get('http://example.com/type5');
+
+    expect(textResponse.responseText).toBe('{"id":1}');
+    expect(textResponse.responseJSON).toBeNull();
+
+    const bufferResponse = await ff.get('http://example.com/type5', { responseType: 'arrayBuffer' });
+
+    expect(bufferResponse.responseData.byteLength).toBe(8);
+
+    const streamResponse = await ff.get('http://example.com/type5', { responseType: 'stream' });
+
+    expect(streamResponse.responseData).toBe(streamResponse.body);
+
+    expect(await streamResponse.json()).toEqual({ id: 1 });
+  });
+
+  it('should use registered parsers for custom MIME types', async () => {
+    const ndjson = async (response) => (
+      (await response.text()).split('\n').filter(Boolean).map((line) => JSON.parse(line))
+    );
+
+    const ff = new FarFetch({ parsers: { 'application/x-ndjson': ndjson } });
+
+    const child = ff.extend();
+
+    child.parsers.register('text/*', (response) => response.text().then((text) => text.length));
+
+    fetchMock.get('http://example.com/type6', {
+      body: '{"id":1}\n{"id":2}\n',
+      headers: { 'Content-Type': 'application/x-ndjson' },
+    });
+
+    fetchMock.get('http://example.com/type7', {
+      body: 'a,b',
+      headers: { 'Content-Type': 'text/csv' },
+    });
+
+    const ndjsonResponse = await child.get('http://example.com/type6');
+
+    expect(ndjsonResponse.responseData).toEqual([{ id: 1 }, { id: 2 }]);
+
+    const csvResponse = await child.get('http://example.com/type7');
+
+    expect(csvResponse.responseData).toBe(3);
+
+    const parentCSVResponse = await ff.get('http://example.com/type7');
+
+    expect(parentCSVResponse.responseData).toBe('a,b');
+
+    expect(() => ff.parsers.register('text/csv', 'parser')).toThrow(TypeError);
+  });
+});
+
+describe('testing error types', () => {
+  it('should name errors after their class, even when minified', () => {
+    expect(new FarFetchError('Oops').name).toBe('FarFetchError');
+    expect(new HTTPError({ status: 500 }).name).toBe('HTTPError');
+    expect(new NetworkError(new TypeError()).name).toBe('NetworkError');
+    expect(new TimeoutError(100).name).toBe('TimeoutError');
+    expect(new AbortError().name).toBe('AbortError');
+    expect(new ParseError({}, new SyntaxError()).name).toBe('ParseError');
+    expect(new ValidationError('Invalid').name).toBe('ValidationError');
+    expect(new SchemaError('data', []).name).toBe('SchemaError');
+  });
+
+  it('should throw HTTPError with the status, parsed body and safe request', async () => {
+    const errorHandlerMock = jest.fn();
+
+    const ff = new FarFetch({
+      errorHandler: errorHandlerMock,
+      headers: { Authorization: 'Bearer secret', Accept: 'application/json' },
+    });
+
+    fetchMock.post('http://example.com/error1', {
+      status: 422,
+      body: { title: 'Invalid name' },
+      headers: { 'Content-Type': 'application/problem+json' },
+    });
+
+    const request = ff.post('http://example.com/error1', {
+      data: { name: '' },
+      responseType: 'blob',
+      errorMsgNoun: 'user',
+    });
+
+    await expect(request).rejects.toThrow(HTTPError);
+
+    const error = await request.catch((requestError) => requestError);
+
+    expect(error).toBeInstanceOf(FarFetchError);
+
+    expect(error).toMatchObject({
+      code: 'EHTTP',
+      status: 422,
+      body: { title: 'Invalid name' },
+      request: {
+        url: 'http://example.com/error1',
+        method: 'POST',
+        options: {
+          headers: { Authorization: '[REDACTED]', Accept: 'application/json' },
+        },
+      },
+    });
+
+    expect(error.request.options.body).toBeUndefined();
+
+    expect(error.response.responseJSON).toEqual({ title: 'Invalid name' });
+
+    // Backward compatible with the `{ error, response }` exception
+    expect(error.error).toBe(error);
+
+    expect(errorHandlerMock.mock.calls[0][0].error).toBeInstanceOf(HTTPError);
+  });
+
+  it('should throw NetworkError, TimeoutError and AbortError with their codes', async () => {
+    const ff = new FarFetch();
+
+    const controller = new AbortController();
+
+    fetchMock.get('http://example.com/error2', { throws: new TypeError('Failed to fetch') });
+    fetchMock.get('http://example.com/error3', 200, { delay: 500 });
+
+    await expect(ff.get('http://example.com/error2')).rejects.toMatchObject({
+      name: 'NetworkError',
+      code: 'ENETWORK',
+      cause: new TypeError('Failed to fetch'),
+    });
+
+    await expect(ff.get('http://example.com/error3', { timeout: 10 }))
+      .rejects.toBeInstanceOf(TimeoutError);
+
+    const request = ff.get('http://example.com/error3', { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(request).rejects.toBeInstanceOf(AbortError);
+  });
+
+  it('should throw ParseError when the body does NOT match its type', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/error4', {
+      body: '<html>',
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    const error = await ff.get('http://example.com/error4').catch((requestError) => requestError);
+
+    expect(error).toBeInstanceOf(ParseError);
+
+    expect(error.code).toBe('EPARSE');
+
+    expect(await error.response.text()).toBe('<html>');
+  });
+
+  it('should NOT parse the body of HEAD requests nor empty bodies', async () => {
+    const ff = mockedFarFetch();
+
+    // Transports may not drop the body of HEAD responses like browsers do
+    ff.mock.head('http://example.com/error5', { json: { id: 1 } });
+
+    ff.mock.get('http://example.com/error5', {
+      body: '',
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    const head = await ff.head('http://example.com/error5');
+    const empty = await ff.get('http://example.com/error5', { responseType: 'json' });
+
+    expect(head.responseJSON).toBeNull();
+    expect(head.responseData).toBeNull();
+    expect(empty.responseJSON).toBeNull();
+    expect(empty.responseData).toBeNull();
+  });
+
+  it('should read the body only once when parsing it', async () => {
+    const ff = new FarFetch();
+
+    const { Response } = fetchMock.config;
+
+    const json = new Response('{"id":1}', { headers: { 'Content-Type': 'application/json' } });
+    const empty = new Response('', { headers: { 'Content-Type': 'application/json' } });
+
+    jest.spyOn(json, 'clone');
+    jest.spyOn(empty, 'clone');
+
+    await expect(ff.parsers.parse(json)).resolves.toEqual({ type: 'json', data: { id: 1 } });
+    await expect(ff.parsers.parse(empty, 'json')).resolves.toEqual({ type: null, data: null });
+
+    expect(json.clone).not.toHaveBeenCalled();
+    expect(empty.clone).not.toHaveBeenCalled();
+  });
+
+  it('should throw ValidationError when using both data and URLParams with GET', async () => {
+    const ff = new FarFetch();
+
+    await expect(ff.get('http://example.com/error5', {
+      data: { id: 1 },
+      URLParams: { id: 1 },
+    })).rejects.toMatchObject({ name: 'ValidationError', code: 'EVALIDATION' });
+
+    await expect(ff.get('http://example.com/error5', {
+      data: { id: 1 },
+      URLParams: { id: 1 },
+    })).rejects.toThrow(ValidationError);
+  });
+});
+
+describe('testing validateStatus and throwOnError', () => {
+  it('should only throw for statuses NOT accepted by validateStatus()', async () => {
+    const ff = new FarFetch({ validateStatus: (status) => status < 500 });
+
+    fetchMock.get('http://example.com/status1', 404);
+    fetchMock.get('http://example.com/status2', 200);
+
+    const response = await ff.get('http://example.com/status1');
+
+    expect(response.status).toBe(404);
+
+    await expect(ff.get('http://example.com/status2', {
+      validateStatus: (status) => status === 201,
+    })).rejects.toMatchObject({ name: 'HTTPError', status: 200 });
+  });
+
+  it('should resolve to a result instead of throwing when throwOnError is false', async () => {
+    const errorHandlerMock = jest.fn();
+
+    const ff = new FarFetch({ throwOnError: false, errorHandler: errorHandlerMock });
+
+    fetchMock.get('http://example.com/status3', {
+      body: { id: 1 },
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    fetchMock.post('http://example.com/status3', {
+      status: 409,
+      body: { message: 'Conflict' },
+      headers: { 'Content-Type': 'application/json' },
+    });
+
+    const success = await ff.get('http://example.com/status3');
+
+    expect(success).toMatchObject({ ok: true, data: { id: 1 }, error: null });
+
+    expect(success.response.status).toBe(200);
+
+    const failure = await ff.post('http://example.com/status3', { errorMsgNoun: 'user' });
+
+    expect(failure.ok).toBe(false);
+
+    expect(failure.data).toBeNull();
+
+    expect(failure.error).toBeInstanceOf(HTTPError);
+
+    expect(failure.error.body).toEqual({ message: 'Conflict' });
+
+    expect(failure.response.responseJSON).toEqual({ message: 'Conflict' });
+
+    expect(errorHandlerMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should resolve to a result with ff.safe', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/status4', { throws: new TypeError('Failed to fetch') });
+
+    const { ok, error, response } = await ff.safe.get('http://example.com/status4');
+
+    expect(ok).toBe(false);
+
+    expect(error).toBeInstanceOf(NetworkError);
+
+    expect(response).toBeNull();
+
+    await expect(ff.get('http://example.com/status4')).rejects.toThrow(NetworkError);
+  });
+});
+
+describe('testing params serializer', () => {
+  const params = {
+    ids: [1, 2],
+    filter: { age: { min: 5 }, tags: ['a b'] },
+    date: new Date('2020-01-02T03:04:05.000Z'),
+    empty: null,
+    missing: undefined,
+  };
+
+  const serializerTest = async (paramsSerializer, queryString) => {
+    const ff = new FarFetch({ paramsSerializer });
+
+    const url = `http://example.com/params-${paramsSerializer}`;
+
+    fetchMock.get(`${url}?${queryString}`, 200);
+
+    await ff.get(url, { data: params });
+
+    expect(fetchMock).toHaveFetched(`${url}?${queryString}`);
+  };
+
+  it('should serialize arrays with brackets', () => (
+    serializerTest(
+      'brackets',
+      'ids[]=1&ids[]=2&filter[age][min]=5&filter[tags][]=a%20b&date=2020-01-02T03%3A04%3A05.000Z&empty=',
+    )
+  ));
+
+  it('should serialize arrays with indices', () => (
+    serializerTest(
+      'indices',
+      'ids[0]=1&ids[1]=2&filter[age][min]=5&filter[tags][0]=a%20b&date=2020-01-02T03%3A04%3A05.000Z&empty=',
+    )
+  ));
+
+  it('should serialize arrays by repeating the key', () => (
+    serializerTest(
+      'repeat',
+      'ids=1&ids=2&filter[age][min]=5&filter[tags]=a%20b&date=2020-01-02T03%3A04%3A05.000Z&empty=',
+    )
+  ));
+
+  it('should serialize arrays separated by commas', () => (
+    serializerTest(
+      'comma',
+      'ids=1,2&filter[age][min]=5&filter[tags]=a%20b&date=2020-01-02T03%3A04%3A05.000Z&empty=',
+    )
+  ));
+
+  it('should accept a custom serializer for a single request', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/params-custom?page=2', 200);
+
+    await ff.get('http://example.com/params-custom', {
+      data: { page: 1 },
+      paramsSerializer: ({ page }) => `?page=${page + 1}`,
+    });
+
+    expect(fetchMock).toHaveFetched('http://example.com/params-custom?page=2');
+  });
+
+  it('should merge with query params already in the URL', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com' });
+
+    fetchMock.get('http://example.com/params-merge?sort=asc&page=2', 200);
+
+    await ff.get('/params-merge?sort=asc', { data: { page: 2 } });
+
+    expect(fetchMock).toHaveFetched('http://example.com/params-merge?sort=asc&page=2');
+  });
+
+  it('should serialize x-www-form-urlencoded bodies', async () => {
+    const ff = new FarFetch({ paramsSerializer: 'brackets' });
+
+    fetchMock.post('http://example.com/params-form', 200);
+
+    await ff.post('http://example.com/params-form', {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      data: { ids: [1, 2] },
+    });
+
+    expect(fetchMock.mock.calls[0][1].body).toBe('ids[]=1&ids[]=2');
+  });
+});
+
+describe('testing multipart data', () => {
+  const formDataEntries = (formData) => Array.from(formData.entries());
+
+  it('should serialize nested data with brackets along with files', async () => {
+    const ff = new FarFetch();
+
+    const file = new File(['foo'], 'foo.txt', { type: 'text/plain' });
+
+    fetchMock.post('http://example.com/multipart1', 200);
+
+    await ff.post('http://example.com/multipart1', {
+      data: {
+        user: { address: { city: 'Miami' } },
+        tags: ['a', 'b'],
+        age: 5,
+        nickname: null,
+        missing: undefined,
+      },
+      files: file,
+    });
+
+    const entries = formDataEntries(fetchMock.mock.calls[0][1].body);
+
+    expect(entries).toEqual([
+      ['user[address][city]', 'Miami'],
+      ['tags[]', 'a'],
+      ['tags[]', 'b'],
+      ['age', '5'],
+      ['nickname', ''],
+      ['file', file],
+    ]);
+  });
+
+  it('should send data with files in it as multipart', async () => {
+    const ff = new FarFetch({ formDataSerializer: 'indices' });
+
+    const avatar = new File(['foo'], 'avatar.png', { type: 'image/png' });
+
+    fetchMock.put('http://example.com/multipart2', 200);
+
+    await ff.put('http://example.com/multipart2', {
+      headers: { 'Content-Type': 'application/json' },
+      data: { user: { avatar, roles: ['admin'] }, raw: new Blob(['bar']) },
+    });
+
+    const { body, headers } = fetchMock.mock.calls[0][1];
+
+    expect(body).toBeInstanceOf(FormData);
+
+    expect(headers['Content-Type']).toBeUndefined();
+
+    expect(body.get('user[avatar]')).toBe(avatar);
+
+    expect(body.get('user[roles][0]')).toBe('admin');
+
+    expect(body.get('raw').name).toBe('blob');
+  });
+
+  it('should accept FormData as data and NOT change it', async () => {
+    const ff = new FarFetch();
+
+    const file = new File(['foo'], 'foo.txt', { type: 'text/plain' });
+
+    const data = new FormData();
+
+    data.append('name', 'Bobby');
+
+    fetchMock.post('http://example.com/multipart3', 200);
+
+    await ff.post('http://example.com/multipart3', { data, files: file });
+
+    const entries = formDataEntries(fetchMock.mock.calls[0][1].body);
+
+    expect(entries).toEqual([['name', 'Bobby'], ['file', file]]);
+
+    expect(formDataEntries(data)).toEqual([['name', 'Bobby']]);
+  });
+
+  it('should serialize nested data as JSON or with a custom function', async () => {
+    const ff = new FarFetch({ formDataSerializer: 'json' });
+
+    fetchMock.post('http://example.com/multipart4', 200);
+
+    await ff.post('http://example.com/multipart4', {
+      data: { user: { name: 'Bobby' } },
+      files: new File(['foo'], 'foo.txt'),
+    });
+
+    expect(fetchMock.mock.calls[0][1].body.get('user')).toBe('{"name":"Bobby"}');
+
+    await ff.post('http://example.com/multipart4', {
+      data: { user: { name: 'Bobby' } },
+      files: new File(['foo'], 'foo.txt'),
+      formDataSerializer: ({ user }) => {
+        const formData = new FormData();
+
+        formData.append('userName', user.name);
+
+        return formData;
+      },
+    });
+
+    expect(fetchMock.mock.calls[1][1].body.get('userName')).toBe('Bobby');
+  });
+});
+
+describe('testing path params', () => {
+  it('should replace and encode path params in both syntaxes', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com/api/' });
+
+    fetchMock.get('http://example.com/api/users/23/posts/a%2Fb%20c?page=2', 200);
+
+    await ff.get('/users/:id/posts/{postId}', {
+      pathParams: { id: 23, postId: 'a/b c' },
+      data: { page: 2 },
+    });
+
+    expect(fetchMock).toHaveFetched('http://example.com/api/users/23/posts/a%2Fb%20c?page=2');
+  });
+
+  it('should throw ValidationError when a path param is missing', async () => {
+    const ff = new FarFetch();
+
+    await expect(ff.get('http://example.com/users/:id/posts/:postId', {
+      pathParams: { id: 23 },
+    })).rejects.toMatchObject({ name: 'ValidationError', param: 'postId' });
+  });
+
+  it('should only replace :name path params starting a path segment', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com:8080/api' });
+
+    fetchMock.post('http://example.com:8080/api/jobs/23:run', 200);
+
+    await ff.post('/jobs/{id}:run', { pathParams: { id: 23 } });
+
+    expect(fetchMock).toHaveFetched('http://example.com:8080/api/jobs/23:run');
+    expect(FarFetchURL.interpolatePath(':id/posts', { id: 5 })).toBe('5/posts');
+  });
+
+  it('should replace {name} path params with any character but slashes and braces', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com' });
+
+    fetchMock.get('http://example.com/users/23/files/a%20b.txt', 200);
+
+    await ff.get('/users/{user-id}/files/{file.name}', {
+      pathParams: { 'user-id': 23, 'file.name': 'a b.txt' },
+    });
+
+    expect(fetchMock).toHaveFetched('http://example.com/users/23/files/a%20b.txt');
+  });
+
+  it('should join the base URL with exactly one slash', async () => {
+    const withSlash = new FarFetch({ baseURL: 'http://example.com/v1/' });
+    const withoutSlash = new FarFetch({ baseURL: 'http://example.com/v1' });
+
+    fetchMock.get('http://example.com/v1/join', 200);
+
+    await withSlash.get('/join');
+    await withoutSlash.get('join');
+
+    expect(fetchMock).toHaveFetchedTimes(2, 'http://example.com/v1/join');
+  });
+});
+
+describe('testing URL resolution', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the query params of the base URL and the URL', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com/api?key=abc' });
+
+    fetchMock.get('http://example.com/api/resolve-query?key=abc&sort=asc&page=2', 200);
+
+    await ff.get('resolve-query?sort=asc', { URLParams: { page: 2 } });
+
+    expect(fetchMock).toHaveFetched('http://example.com/api/resolve-query?key=abc&sort=asc&page=2');
+  });
+
+  it('should normalize slashes and dot segments', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com/api//' });
+
+    fetchMock.get('http://example.com/api/resolve-dots', 200);
+
+    await ff.get('/v1/../resolve-dots');
+
+    expect(fetchMock).toHaveFetched('http://example.com/api/resolve-dots');
+  });
+
+  it('should resolve protocol-relative URLs', async () => {
+    const ff = new FarFetch({ baseURL: 'https://example.com/api' });
+
+    fetchMock.get('https://cdn.example.com/resolve-protocol', 200);
+
+    await ff.get('//cdn.example.com/resolve-protocol');
+
+    expect(fetchMock).toHaveFetched('https://cdn.example.com/resolve-protocol');
+  });
+
+  it('should override the base URL for a single request', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com/api' });
+
+    fetchMock.get('http://billing.example.com/resolve-override', 200);
+
+    await ff.get('/resolve-override', { baseURL: 'http://billing.example.com' });
+
+    expect(fetchMock).toHaveFetched('http://billing.example.com/resolve-override');
+  });
+
+  it('should throw ValidationError for relative URLs without a base URL outside of browsers', async () => {
+    jest.spyOn(FarFetchURL, 'documentURL', 'get').mockReturnValue(null);
+
+    const ff = new FarFetch();
+
+    await expect(ff.get('/resolve-node')).rejects.toThrow(ValidationError);
+    await expect(ff.get('//example.com/resolve-node')).rejects.toThrow(
+      "Protocol-relative URL '//example.com/resolve-node' needs a baseURL outside of browsers.",
+    );
+    await expect(ff.get('/resolve-node')).rejects.toThrow(
+      "Relative URL '/resolve-node' needs a baseURL outside of browsers.",
+    );
+  });
+
+  it('should throw ValidationError for invalid URLs', async () => {
+    const ff = new FarFetch();
+
+    await expect(ff.get('http://exa mple.com/resolve-invalid')).rejects.toMatchObject({
+      name: 'ValidationError',
+      code: 'EVALIDATION',
+    });
+  });
+});
+
+describe('testing resources', () => {
+  it('should map each method to its REST endpoint', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com/resource' });
+
+    const users = ff.resource('users', { errorMsgNoun: 'user' });
+
+    fetchMock.get('http://example.com/resource/users?page=2', [{ id: 23 }]);
+    fetchMock.get('http://example.com/resource/users/23', { id: 23 });
+    fetchMock.post('http://example.com/resource/users', 201);
+    fetchMock.put('http://example.com/resource/users/23', 200);
+    fetchMock.patch('http://example.com/resource/users/23', 200);
+    fetchMock.delete('http://example.com/resource/users/23', 204);
+
+    const list = await users.list({ data: { page: 2 } });
+    const user = await users.get(23);
+
+    await users.create({ name: 'Ada' });
+    await users.update(23, { name: 'Ada' });
+    await users.patch(23, { age: 36 });
+    await users.remove(23);
+
+    expect(list.responseJSON).toEqual([{ id: 23 }]);
+    expect(user.responseJSON).toEqual({ id: 23 });
+
+    expect(fetchMock).toHaveFetched('http://example.com/resource/users', {
+      method: 'POST',
+      body: { name: 'Ada' },
+    });
+    expect(fetchMock).toHaveFetched('http://example.com/resource/users/23', {
+      method: 'PATCH',
+      body: { age: 36 },
+    });
+    expect(fetchMock).toHaveFetched('http://example.com/resource/users/23', { method: 'DELETE' });
+  });
+
+  it('should use the error message noun of the resource', async () => {
+    const errorHandler = jest.fn();
+
+    const ff = new FarFetch({ baseURL: 'http://example.com/resource-error', errorHandler });
+
+    const users = ff.resource('users', { errorMsgNoun: 'user', errorMsgNounPlural: 'users' });
+
+    fetchMock.get('http://example.com/resource-error/users', 500);
+    fetchMock.delete('http://example.com/resource-error/users/23', 500);
+
+    await expect(users.list()).rejects.toThrow(HTTPError);
+    await expect(users.remove(23)).rejects.toThrow(HTTPError);
+
+    expect(errorHandler.mock.calls[0][0].userMessage).toBe('Error fetching users');
+    expect(errorHandler.mock.calls[1][0].userMessage).toBe('Error deleting user');
+  });
+
+  it('should add custom actions and fill in the path params of nested resources', async () => {
+    const ff = new FarFetch({ baseURL: 'http://example.com/resource-action' });
+
+    const posts = ff.resource('users/:userId/posts', {
+      pathParams: { userId: 7 },
+      actions: {
+        publish: { method: 'POST', path: ':id/publish' },
+      },
+    });
+
+    fetchMock.get('http://example.com/resource-action/users/7/posts/3', 200);
+    fetchMock.post('http://example.com/resource-action/users/7/posts/3/publish', 200);
+
+    await posts.get(3);
+    await posts.publish({ pathParams: { id: 3 } });
+
+    expect(fetchMock).toHaveFetched('http://example.com/resource-action/users/7/posts/3');
+    expect(fetchMock).toHaveFetched('http://example.com/resource-action/users/7/posts/3/publish', {
+      method: 'POST',
+    });
+
+    expect(() => ff.resource('users', { actions: { get: {} } })).toThrow(TypeError);
+  });
+});
+
+describe('testing OpenAPI', () => {
+  const spec = {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0' },
+    servers: [{ url: 'http://{host}/openapi', variables: { host: { default: 'example.com' } } }],
+    paths: {
+      '/pets/{id}': {
+        parameters: [{
+          name: 'id', in: 'path', required: true, schema: { type: 'integer' },
+        }],
+        get: {
+          operationId: 'get-pet',
+          summary: 'Get a pet',
+          parameters: [
+            { name: 'include', in: 'query', schema: { type: 'string', enum: ['owner'] } },
+            { name: 'X-Trace', in: 'header', schema: { type: 'string' } },
+          ],
+          responses: {
+            200: {
+              description: 'The pet',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } },
+            },
+          },
+        },
+      },
+      '/pets': {
+        post: {
+          requestBody: { $ref: '#/components/requestBodies/NewPet' },
+          responses: { 201: { description: 'Created' } },
+        },
+      },
+      '/pets/{id}/photo': {
+        put: {
+          operationId: 'uploadPhoto',
+          parameters: [{ $ref: '#/components/parameters/PetId' }],
+          requestBody: {
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    photo: { type: 'string', format: 'binary' },
+                    caption: { type: 'string' },
+                  },
+                },
+              },
+            },
+          },
+          responses: { 204: { description: 'Uploaded' } },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        Pet: {
+          type: 'object',
+          required: ['id', 'name'],
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            'owner-id': { type: 'string', nullable: true },
+          },
+        },
+      },
+      parameters: {
+        PetId: {
+          name: 'id', in: 'path', required: true, schema: { type: 'integer' },
+        },
+      },
+      requestBodies: {
+        NewPet: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } },
+        },
+      },
+    },
+  };
+
+  it('should create a method for each operation mapping its params onto the options', async () => {
+    const api = FarFetch.fromOpenAPI(spec);
+
+    fetchMock.get('http://example.com/openapi/pets/23?include=owner', { id: 23, name: 'Rex' });
+    fetchMock.post('http://example.com/openapi/pets', 201);
+
+    const response = await api.getPet({ id: 23, include: 'owner', 'X-Trace': 'abc' });
+
+    await api.postPets({ body: { id: 24, name: 'Fido' } });
+
+    expect(response.responseJSON).toEqual({ id: 23, name: 'Rex' });
+
+    expect(fetchMock).toHaveFetched('http://example.com/openapi/pets/23?include=owner', {
+      headers: { 'X-Trace': 'abc' },
+    });
+    expect(fetchMock).toHaveFetched('http://example.com/openapi/pets', {
+      method: 'POST',
+      body: { id: 24, name: 'Fido' },
+    });
+  });
+
+  it('should send binary properties of multipart bodies as files', async () => {
+    const api = FarFetch.fromOpenAPI(spec, { baseURL: 'http://example.com/openapi-files' });
+
+    fetchMock.put('http://example.com/openapi-files/pets/23/photo', 204);
+
+    const photo = new File(['photo'], 'photo.png', { type: 'image/png' });
+
+    await api.uploadPhoto({ id: 23, body: { photo, caption: 'Rex' } });
+
+    const [, { body }] = fetchMock.lastCall('http://example.com/openapi-files/pets/23/photo');
+
+    expect(body).toBeInstanceOf(FormData);
+    expect(body.get('photo')).toBeInstanceOf(File);
+    expect(body.get('caption')).toBe('Rex');
+  });
+
+  it('should call operations with a custom method in their path', async () => {
+    const api = FarFetch.fromOpenAPI({
+      openapi: '3.0.3',
+      servers: [{ url: 'http://example.com/openapi-custom' }],
+      paths: {
+        '/jobs/{name}:cancel': {
+          post: {
+            operationId: 'cancelJob',
+            parameters: [{ name: 'name', in: 'path', required: true }],
+            responses: { 200: { description: 'Cancelled' } },
+          },
+        },
+      },
+    });
+
+    fetchMock.post('http://example.com/openapi-custom/jobs/nightly:cancel', 200);
+
+    await api.cancelJob({ name: 'nightly' });
+
+    expect(fetchMock).toHaveFetched('http://example.com/openapi-custom/jobs/nightly:cancel');
+  });
+
+  it('should call operations with hyphens and dots in their path param names', async () => {
+    const hyphenatedSpec = {
+      openapi: '3.0.3',
+      servers: [{ url: 'http://example.com/openapi-hyphen' }],
+      paths: {
+        '/users/{user-id}/files/{file.name}': {
+          get: {
+            parameters: [
+              {
+                name: 'user-id', in: 'path', required: true, schema: { type: 'integer' },
+              },
+              {
+                name: 'file.name', in: 'path', required: true, schema: { type: 'string' },
+              },
+            ],
+            responses: { 200: { description: 'The file' } },
+          },
+        },
+      },
+    };
+
+    const api = FarFetch.fromOpenAPI(hyphenatedSpec);
+
+    fetchMock.get('http://example.com/openapi-hyphen/users/7/files/a%20b.txt', 200);
+
+    await api.getUsersByUserIdFilesByFileName({ 'user-id': 7, 'file.name': 'a b.txt' });
+
+    expect(fetchMock).toHaveFetched('http://example.com/openapi-hyphen/users/7/files/a%20b.txt');
+
+    expect(FarFetchOpenAPI.declarations(hyphenatedSpec)).toContain([
+      'export type GetUsersByUserIdFilesByFileNameParams = {',
+      '  "user-id": number;',
+      '  "file.name": string;',
+      '};',
+    ].join('\n'));
+  });
+
+  it('should throw ValidationError for unsupported documents', () => {
+    expect(() => FarFetch.fromOpenAPI({ swagger: '2.0' })).toThrow(ValidationError);
+    expect(() => FarFetch.fromOpenAPI({
+      openapi: '3.0.0',
+      paths: { '/a': { get: { requestBody: { $ref: 'other.json#/Body' } } } },
+    })).toThrow("Only local references are supported, got 'other.json#/Body'.");
+  });
+
+  it('should generate TypeScript declarations', () => {
+    const declarations = FarFetchOpenAPI.declarations(spec);
+
+    expect(declarations).toContain([
+      'export type Pet = {',
+      '  id: number;',
+      '  name: string;',
+      '  tags?: Array<string>;',
+      '  "owner-id"?: string | null;',
+      '};',
+    ].join('\n'));
+    expect(declarations).toContain([
+      'export type GetPetParams = {',
+      '  id: number;',
+      '  include?: "owner";',
+      '  "X-Trace"?: string;',
+      '};',
+      'export type GetPetResponse = Pet;',
+    ].join('\n'));
+    expect(declarations).toContain('export type PostPetsResponse = null;');
+    expect(declarations).toContain('  photo?: Blob;');
+    expect(declarations).toContain(
+      '  getPet(params: GetPetParams, options?: Record<string, unknown>): '
+      + 'Promise<OperationResponse<GetPetResponse>>;',
+    );
+    expect(declarations).toContain('  uploadPhoto(params: UploadPhotoParams, ');
+  });
+
+  it('should write the declarations of a local spec file with the CLI', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'far-fetch-'));
+
+    const specPath = path.join(directory, 'openapi.json');
+    const outPath = path.join(directory, 'api.d.ts');
+
+    fs.writeFileSync(specPath, JSON.stringify(spec));
+
+    const log = jest.fn();
+    const error = jest.fn();
+
+    expect(openAPICLI([specPath, '--out', outPath], { log, error })).toBe(0);
+    expect(fs.readFileSync(outPath, 'utf8')).toBe(FarFetchOpenAPI.declarations(spec));
+
+    expect(openAPICLI([path.join(directory, 'missing.json')], { log, error })).toBe(1);
+    expect(openAPICLI([], { log, error })).toBe(1);
+    expect(error).toHaveBeenCalledTimes(2);
+
+    fs.rmdirSync(directory, { recursive: true });
+  });
+});
+
+describe('testing schema validation', () => {
+  const userSchema = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string', minLength: 1 },
+      tags: { type: 'array', items: { $ref: '#/definitions/tag' } },
+    },
+    additionalProperties: false,
+    definitions: {
+      tag: { type: 'string', enum: ['admin', 'staff'] },
+    },
+  };
+
+  it('should resolve when responseJSON matches a JSON Schema', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/schema-valid', { id: 1, name: 'Ada', tags: ['admin'] });
+
+    const response = await ff.get('http://example.com/schema-valid', { schema: userSchema });
+
+    expect(response.responseJSON).toEqual({ id: 1, name: 'Ada', tags: ['admin'] });
+  });
+
+  it('should throw SchemaError with the issues when responseJSON does NOT match', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/schema-invalid', {
+      id: 1.5,
+      tags: ['admin', 'guest'],
+      email: 'ada@example.com',
+    });
+
+    const error = await ff.get('http://example.com/schema-invalid', { schema: userSchema })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(SchemaError);
+    expect(error).toBeInstanceOf(FarFetchError);
+    expect(error).toMatchObject({ code: 'ESCHEMA', target: 'response' });
+    expect(error.response.status).toBe(200);
+    expect(error.issues).toEqual([
+      { path: '/name', message: 'is required' },
+      { path: '/id', message: 'must be integer, got number' },
+      { path: '/tags/1', message: 'must be one of "admin", "staff"' },
+      { path: '/email', message: 'is not allowed' },
+    ]);
+  });
+
+  it('should accept validators with parse() or validate() and use their value', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.get('http://example.com/schema-validators', { id: '7' });
+
+    const zodLike = {
+      safeParse: (value) => ({ success: true, data: { id: Number(value.id) } }),
+    };
+
+    const parseLike = {
+      parse() {
+        const error = new Error('Invalid');
+
+        error.issues = [{ path: ['id'], message: 'Expected number' }];
+
+        throw error;
+      },
+    };
+
+    const joiLike = {
+      validate: () => ({ error: { details: [{ message: '"id" must be a number' }] } }),
+    };
+
+    const response = await ff.get('http://example.com/schema-validators', { schema: zodLike });
+
+    expect(response.responseJSON).toEqual({ id: 7 });
+    expect(response.responseData).toEqual({ id: 7 });
+
+    await expect(ff.get('http://example.com/schema-validators', { schema: parseLike }))
+      .rejects.toMatchObject({ issues: [{ path: ['id'], message: 'Expected number' }] });
+    await expect(ff.get('http://example.com/schema-validators', { schema: joiLike }))
+      .rejects.toMatchObject({ issues: [{ message: '"id" must be a number' }] });
+  });
+
+  it('should validate data before sending it', async () => {
+    const ff = new FarFetch();
+
+    fetchMock.post('http://example.com/schema-data', 201);
+
+    const error = await ff.post('http://example.com/schema-data', {
+      data: { id: 1, name: '' },
+      dataSchema: userSchema,
+    }).catch((e) => e);
+
+    expect(error).toMatchObject({
+      code: 'ESCHEMA',
+      target: 'data',
+      issues: [{ path: '/name', message: 'must have at least 1 characters' }],
+    });
+    expect(fetchMock).not.toHaveFetched('http://example.com/schema-data');
+  });
+
+  it('should give a distinct userMessage to the global error handler', async () => {
+    const errorHandler = jest.fn();
+
+    const ff = new FarFetch({ errorHandler });
+
+    fetchMock.get('http://example.com/schema-message', { id: 'not a number' });
+
+    await expect(ff.get('http://example.com/schema-message', {
+      schema: userSchema,
+      errorMsgNoun: 'user',
+    })).rejects.toThrow(SchemaError);
+
+    await expect(ff.post('http://example.com/schema-message', {
+      data: {},
+      dataSchema: userSchema,
+      errorMsgNoun: 'user',
+    })).rejects.toThrow(SchemaError);
+
+    expect(errorHandler.mock.calls[0][0].userMessage).toBe('Error fetching user: unexpected response');
+    expect(errorHandler.mock.calls[1][0].userMessage).toBe('Error adding user: invalid data');
+  });
+});
+
+describe('testing type declarations', () => {
+  const declarations = fs.readFileSync(path.join(__dirname, '../types/index.d.ts'), 'utf8');
+  const source = fs.readFileSync(path.join(__dirname, '../src/far-fetch.js'), 'utf8');
+
+  it('should declare every named export', async () => {
+    const runtime = await import('../src/far-fetch');
+
+    const declared = [...declarations.matchAll(/^export class (\w+)/gm)].map(([, name]) => name);
+
+    const exported = Object.keys(runtime).filter((name) => name !== 'default');
+
+    expect(declared.sort()).toEqual(exported.sort());
+  });
+
+  it('should declare every public method of FarFetch', () => {
+    // Methods without @private in their doc comment
+    const publicMethods = [...source.matchAll(
+      /\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*(?:static\s+)?(?:async\s+)?(\w+)\(/g,
+    )]
+      .filter(([, comment, name]) => !comment.includes('@private') && name !== 'constructor')
+      .map(([, , name]) => name);
+
+    const classBody = declarations.match(/^export default class FarFetch \{([\s\S]*?)^\}/m)[1];
+
+    const declaredMembers = [...classBody.matchAll(/^ {2}(?:static )?(\w+)[<(:]/gm)]
+      .map(([, name]) => name)
+      .filter((name) => name !== 'constructor');
+
+    publicMethods.forEach((name) => {
+      expect(declaredMembers).toContain(name);
+      expect(typeof FarFetch[name] === 'function' || typeof FarFetch.prototype[name] === 'function')
+        .toBe(true);
+    });
+
+    const ff = new FarFetch();
+
+    declaredMembers.forEach((name) => {
+      expect(ff[name] ?? FarFetch[name]).toBeDefined();
+    });
+  });
+});
+
+describe('testing fetch implementations and Node uploads', () => {
+  const jsonResponse = (body) => new fetchMock.config.Response(JSON.stringify(body), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+  it('should send requests with the fetch option instead of the global fetch', async () => {
+    const fetchImplementation = jest.fn(async () => jsonResponse({ id: 23 }));
+
+    const ff = new FarFetch({ baseURL: 'http://example.com/implementation', fetch: fetchImplementation });
+
+    const response = await ff.get('/users/23');
+
+    expect(response.responseJSON).toEqual({ id: 23 });
+    expect(fetchImplementation).toHaveBeenCalledWith(
+      'http://example.com/implementation/users/23',
+      expect.objectContaining({ method: 'GET' }),
+    );
+    expect(fetchMock).not.toHaveFetched('http://example.com/implementation/users/23');
+
+    // Inherited by child instances
+    await ff.extend({ timeout: 1000 }).get('/users/24');
+
+    expect(fetchImplementation).toHaveBeenCalledTimes(2);
+  });
+
+  it('should throw ValidationError when there is no fetch implementation', async () => {
+    const globalFetch = global.fetch;
+
+    delete global.fetch;
+
+    try {
+      await expect(new FarFetch().get('http://example.com/no-fetch')).rejects.toThrow(
+        'Fetch API is not available. Pass in an implementation with the fetch option.',
+      );
+    } finally {
+      global.fetch = globalFetch;
+    }
+  });
+
+  it('should send binary data as is, and streams as half duplex', async () => {
+    const fetchImplementation = jest.fn(async () => jsonResponse({}));
+
+    const ff = new FarFetch({ fetch: fetchImplementation });
+
+    const blob = new Blob(['binary']);
+    const stream = { pipe() {} };
+
+    await ff.post('http://example.com/binary', { data: blob });
+    await ff.put('http://example.com/stream', { data: stream });
+
+    expect(fetchImplementation.mock.calls[0][1].body).toBe(blob);
+    expect(fetchImplementation.mock.calls[0][1].duplex).toBeUndefined();
+    expect(fetchImplementation.mock.calls[1][1]).toMatchObject({ body: stream, duplex: 'half' });
+  });
+
+  it('should upload Blobs and Buffers when File is undefined', async () => {
+    const globalFile = global.File;
+
+    delete global.File;
+
+    fetchMock.post('http://example.com/no-file', 200);
+
+    try {
+      await new FarFetch().post('http://example.com/no-file', {
+        files: { avatar: new Blob(['avatar']), attachments: [new Uint8Array([1, 2])] },
+        data: { thumbnail: new Uint8Array([3]) },
+      });
+    } finally {
+      global.File = globalFile;
+    }
+
+    const [, { body }] = fetchMock.lastCall('http://example.com/no-file');
+
+    expect(body.get('avatar')).toBeInstanceOf(Blob);
+    expect(body.get('attachments[]')).toBeInstanceOf(Blob);
+    expect(body.get('thumbnail')).toBeInstanceOf(Blob);
+  });
+
+  it('should NOT append streams to a native FormData', async () => {
+    await expect(new FarFetch().post('http://example.com/stream-form-data', {
+      files: { video: { pipe() {} } },
+    })).rejects.toThrow(TypeError);
+  });
+});
+
+describe('testing mocks', () => {
+  it('should reply with mocked routes and record the calls', async () => {
+    const ff = mockedFarFetch({ baseURL: 'http://example.com/api' });
+
+    ff.mock
+      .get('/users', { json: [{ id: 1, name: 'Ada' }], headers: { 'X-Total': '1' } })
+      .post('/users', ({ json }) => ({ status: 201, json: { id: 2, ...json } }))
+      .on('DELETE', '/users/:id', 204);
+
+    const users = await ff.get('users', { data: { page: 2 } });
+    const created = await ff.post('users', { data: { name: 'Grace' } });
+    const removed = await ff.delete('users/2');
+
+    expect(users.responseJSON).toEqual([{ id: 1, name: 'Ada' }]);
+    expect(users.headers.get('X-Total')).toBe('1');
+    expect(created.status).toBe(201);
+    expect(created.responseJSON).toEqual({ id: 2, name: 'Grace' });
+    expect(removed.status).toBe(204);
+
+    expect(ff.mock.calls()).toHaveLength(3);
+    expect(ff.mock.calls('/users')).toHaveLength(2);
+    expect(ff.mock.calls('/users', 'post')).toMatchObject([{
+      method: 'POST',
+      url: 'http://example.com/api/users',
+      json: { name: 'Grace' },
+      headers: { 'content-type': 'application/json' },
+      matched: true,
+    }]);
+    expect(ff.mock.calls('/users?page=2')[0].query).toEqual({ page: '2' });
+    expect(ff.mock.calls(/\/users\/\d+$/)[0].method).toBe('DELETE');
+
+    // Not fetched with the global fetch
+    expect(fetchMock).not.toHaveFetched('http://example.com/api/users');
+  });
+
+  it('should throw ENOMOCK error on unmatched requests, without retrying them', async () => {
+    const ff = mockedFarFetch({ retry: 2 });
+
+    ff.mock.get('http://example.com/mocked', 200);
+
+    await expect(ff.get('http://example.com/not-mocked')).rejects.toMatchObject({
+      code: 'ENOMOCK',
+      message: 'No mock route matches GET http://example.com/not-mocked.',
+      request: { url: 'http://example.com/not-mocked' },
+    });
+
+    await expect(ff.post('http://example.com/mocked')).rejects.toThrow(FarFetchError);
+
+    expect(ff.mock.calls('http://example.com/not-mocked')).toMatchObject([{ matched: false }]);
+  });
+
+  it('should match wildcards, query params and the number of times', async () => {
+    const ff = mockedFarFetch();
+
+    ff.mock
+      .get('http://example.com/files/*', { body: 'file' })
+      .get('http://example.com/users/{user-id}', { json: { id: 23 } })
+      .get('/search?q=ada', { json: ['Ada'] })
+      .get('http://example.com/once', 500, { times: 1 })
+      .get('http://example.com/once', 200);
+
+    expect((await ff.get('http://example.com/files/a/b.txt')).responseText).toBe('file');
+    expect((await ff.get('http://example.com/users/23')).responseJSON).toEqual({ id: 23 });
+    expect((await ff.get('http://example.org/search', { data: { q: 'ada', page: 1 } })).responseJSON)
+      .toEqual(['Ada']);
+    await expect(ff.get('http://example.com/search', { data: { q: 'grace' } }))
+      .rejects.toMatchObject({ code: 'ENOMOCK' });
+    await expect(ff.get('http://example.com/once')).rejects.toBeInstanceOf(HTTPError);
+    expect((await ff.get('http://example.com/once')).status).toBe(200);
+  });
+
+  it('should fail with network errors and time out on delayed replies', async () => {
+    const ff = mockedFarFetch();
+
+    ff.mock
+      .get('http://example.com/offline', { networkError: true })
+      .get('http://example.com/slow', { json: {}, delay: 500 })
+      .get('http://example.com/delayed', { json: { ok: true }, delay: 10 });
+
+    await expect(ff.get('http://example.com/offline')).rejects.toBeInstanceOf(NetworkError);
+    await expect(ff.get('http://example.com/slow', { timeout: 20 }))
+      .rejects.toBeInstanceOf(TimeoutError);
+    expect((await ff.get('http://example.com/delayed')).responseJSON).toEqual({ ok: true });
+  });
+
+  it('should create a mocked FarFetch object, inherited by child instances', async () => {
+    const globalResponse = global.Response;
+
+    global.Response = fetchMock.config.Response;
+
+    try {
+      const ff = FarFetch.mock({ baseURL: 'http://example.com/v2' });
+
+      expect(ff.mock).toBeInstanceOf(MockTransport);
+
+      ff.mock.get('/me', { json: { id: 1 } });
+
+      const child = ff.extend({ headers: { 'X-Child': '1' } });
+
+      expect(child.mock).toBe(ff.mock);
+      expect((await child.get('me')).responseJSON).toEqual({ id: 1 });
+      expect(ff.mock.calls('/me')[0].headers).toMatchObject({ 'x-child': '1' });
+
+      ff.mock.reset();
+
+      expect(ff.mock.calls()).toEqual([]);
+      await expect(ff.get('me')).rejects.toMatchObject({ code: 'ENOMOCK' });
+      expect(new FarFetch().mock).toBeUndefined();
+    } finally {
+      global.Response = globalResponse;
+    }
+  });
+});
+
+describe('testing HAR recording and replay', () => {
+  const { Response } = fetchMock.config;
+
+  const record = async () => {
+    // Recorded by more than one test
+    fetchMock
+      .get('begin:http://example.com/har/users?', {
+        body: [{ id: 1 }],
+        headers: { 'Set-Cookie': 'session=secret' },
+      }, { overwriteRoutes: true })
+      .post('http://example.com/har/users', { status: 201, body: { id: 2 } }, {
+        overwriteRoutes: true,
+      });
+
+    const recorder = new HARRecorder({ redact: ['Authorization', 'Set-Cookie', 'token'] });
+
+    const ff = new FarFetch({ fetch: recorder, headers: { Authorization: 'Bearer secret' } });
+
+    await ff.get('http://example.com/har/users', { URLParams: { b: 2, a: 1, token: 'abc' } });
+    await ff.post('http://example.com/har/users', { data: { name: 'Ada' } });
+
+    return recorder;
+  };
+
+  it('should record requests and responses to HAR, with secrets redacted', async () => {
+    const recorder = await record();
+
+    const { log } = recorder.har();
+
+    expect(log.version).toBe('1.2');
+    expect(log.entries).toHaveLength(2);
+
+    const [get, post] = log.entries;
+
+    expect(get.request).toMatchObject({
+      method: 'GET',
+      url: 'http://example.com/har/users?b=2&a=1&token=%5BREDACTED%5D',
+      queryString: [
+        { name: 'b', value: '2' },
+        { name: 'a', value: '1' },
+        { name: 'token', value: '[REDACTED]' },
+      ],
+      headers: [{ name: 'Authorization', value: '[REDACTED]' }],
+    });
+    expect(get.response).toMatchObject({
+      status: 200,
+      content: { mimeType: 'application/json', text: '[{"id":1}]' },
+    });
+    expect(get.response.headers).toContainEqual({ name: 'set-cookie', value: '[REDACTED]' });
+
+    expect(post.request.postData).toEqual({ mimeType: 'application/json', text: '{"name":"Ada"}' });
+    expect(post.response.status).toBe(201);
+
+    expect(JSON.parse(JSON.stringify(recorder))).toEqual(recorder.har());
+    expect(JSON.stringify(recorder.har())).not.toContain('secret');
+  });
+
+  it('should replay recordings, with configurable matching rules', async () => {
+    const har = JSON.stringify(await record());
+
+    const replay = new HARReplay(har, { redact: ['Authorization', 'token'], Response });
+
+    const ff = new FarFetch({ fetch: replay, headers: { Authorization: 'Bearer other' } });
+
+    fetchMock.mockClear();
+
+    // Query params in another order, with another secret
+    const users = await ff.get('http://example.com/har/users', {
+      URLParams: { a: 1, token: 'xyz', b: 2 },
+    });
+    const created = await ff.post('http://example.com/har/users', { data: { name: 'Ada' } });
+
+    expect(users.responseJSON).toEqual([{ id: 1 }]);
+    expect(created.status).toBe(201);
+    expect(created.responseJSON).toEqual({ id: 2 });
+    expect(fetchMock).not.toHaveFetched();
+
+    await expect(ff.post('http://example.com/har/users', { data: { name: 'Grace' } }))
+      .rejects.toMatchObject({ code: 'ENOMOCK' });
+
+    const strict = new FarFetch({
+      fetch: new HARReplay(har, {
+        normalizeQuery: false,
+        ignoreHeaders: false,
+        redact: ['Authorization', 'token'],
+        Response,
+      }),
+      headers: { Authorization: 'Bearer other' },
+    });
+
+    await expect(strict.get('http://example.com/har/users', { URLParams: { a: 1, b: 2, token: '' } }))
+      .rejects.toMatchObject({
+        code: 'ENOMOCK',
+        message: 'No recorded request matches GET http://example.com/har/users?a=1&b=2&token=%5BREDACTED%5D.',
+      });
+    expect((await strict.get('http://example.com/har/users', {
+      URLParams: { b: 2, a: 1, token: '' },
+    })).responseJSON).toEqual([{ id: 1 }]);
+    await expect(strict.get('http://example.com/har/users', {
+      URLParams: { b: 2, a: 1, token: '' },
+      headers: { 'X-Request-Id': '1' },
+    })).rejects.toMatchObject({ code: 'ENOMOCK' });
+
+    const lenient = new FarFetch({
+      fetch: new HARReplay(har, {
+        ignoreHeaders: ['X-Request-Id'],
+        ignoreQuery: ['b', 'token'],
+        Response,
+      }),
+      headers: { Authorization: 'Bearer other', 'X-Request-Id': '2' },
+    });
+
+    expect((await lenient.get('http://example.com/har/users', {
+      URLParams: { a: 1, b: 3, token: 'abc' },
+    })).responseJSON).toEqual([{ id: 1 }]);
+  });
+
+  it('should replay binary bodies and identical requests in order', async () => {
+    const fetchImplementation = jest.fn()
+      .mockResolvedValueOnce(new Response(Buffer.from([1, 2, 255]), {
+        headers: { 'Content-Type': 'image/png', 'Content-Encoding': 'identity' },
+      }))
+      .mockResolvedValueOnce(new Response('first', { headers: { 'Content-Type': 'text/plain' } }))
+      .mockResolvedValueOnce(new Response('second', { headers: { 'Content-Type': 'text/plain' } }));
+
+    const recorder = new HARRecorder({ fetch: fetchImplementation });
+
+    const recording = new FarFetch({ fetch: recorder });
+
+    await recording.get('http://example.com/har/avatar.png', { responseType: 'arrayBuffer' });
+    await recording.get('http://example.com/har/status');
+    await recording.get('http://example.com/har/status');
+
+    expect(recorder.entries[0].response.content).toMatchObject({ encoding: 'base64', size: 3 });
+
+    const ff = new FarFetch({ fetch: new HARReplay(recorder.har(), { Response }) });
+
+    const avatar = await ff.get('http://example.com/har/avatar.png', { responseType: 'arrayBuffer' });
+
+    expect([...new Uint8Array(avatar.responseData)]).toEqual([1, 2, 255]);
+    expect(avatar.headers.get('Content-Encoding')).toBeNull();
+
+    const statuses = [];
+
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      statuses.push((await ff.get('http://example.com/har/status')).responseText);
+    }
+
+    expect(statuses).toEqual(['first', 'second', 'second']);
+  });
+});
+
+describe('testing pagination', () => {
+  it('should follow Link headers', async () => {
+    const ff = mockedFarFetch();
+
+    ff.mock
+      .get('http://example.com/paginate/users?cursor=abc', { json: [{ id: 3 }] })
+      .get('http://example.com/paginate/users', {
+        json: [{ id: 1 }, { id: 2 }],
+        headers: {
+          Link: '<http://example.com/paginate/users?cursor=abc>; rel="next", '
+            + '<http://example.com/paginate/users?cursor=xyz>; rel="last"',
+        },
+      });
+
+    const users = await ff.paginate.all('http://example.com/paginate/users', { data: { sort: 'id' } });
+
+    expect(users).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    expect(ff.mock.calls().map(({ url }) => url)).toEqual([
+      'http://example.com/paginate/users?sort=id',
+      'http://example.com/paginate/users?cursor=abc',
+    ]);
+  });
+
+  it('should send cursors back, and stop at maxPages', async () => {
+    const ff = mockedFarFetch();
+
+    ff.mock.get('http://example.com/paginate/cursor', ({ query }) => ({
+      json: { data: [`item ${query.after ?? 0}`], meta: { next: Number(query.after ?? 0) + 1 } },
+    }));
+
+    const pages = await ff.paginate.all('http://example.com/paginate/cursor', {
+      strategy: 'cursor',
+      cursor: 'meta.next',
+      cursorParam: 'after',
+      pages: true,
+      maxPages: 3,
+    });
+
+    expect(pages.map(({ responseJSON }) => responseJSON.data)).toEqual([
+      ['item 0'],
+      ['item 1'],
+      ['item 2'],
+    ]);
+
+    const items = await ff.paginate.all('http://example.com/paginate/cursor', {
+      strategy: 'cursor',
+      cursor: ({ responseJSON }) => (responseJSON.meta.next < 2 ? responseJSON.meta.next : null),
+      cursorParam: 'after',
+    });
+
+    expect(items).toEqual(['item 0', 'item 1']);
+  });
+
+  it('should increment offset and page params until a page is not full, or maxItems', async () => {
+    const ff = mockedFarFetch();
+
+    const letters = ['a', 'b', 'c', 'd', 'e'];
+
+    ff.mock
+      .get('http://example.com/paginate/offset', ({ query }) => {
+        const offset = Number(query.offset);
+
+        return { json: { results: letters.slice(offset, offset + Number(query.limit)) } };
+      })
+      .post('http://example.com/paginate/page', ({ query }) => ({
+        json: letters.slice((query.page - 1) * 2, query.page * 2),
+      }));
+
+    expect(await ff.paginate.all('http://example.com/paginate/offset', {
+      strategy: 'offset',
+      limit: 2,
+    })).toEqual(letters);
+    expect(ff.mock.calls('http://example.com/paginate/offset').map(({ query }) => query)).toEqual([
+      { limit: '2', offset: '0' },
+      { limit: '2', offset: '2' },
+      { limit: '2', offset: '4' },
+    ]);
+
+    expect(await ff.paginate.all('http://example.com/paginate/page', {
+      method: 'POST',
+      strategy: 'page',
+      maxItems: 3,
+      data: { filter: 'letters' },
+    })).toEqual(['a', 'b', 'c']);
+
+    const calls = ff.mock.calls('http://example.com/paginate/page');
+
+    expect(calls.map(({ query }) => query)).toEqual([{ page: '1' }, { page: '2' }]);
+    expect(calls[0].json).toEqual({ filter: 'letters' });
+  });
+
+  it('should iterate lazily with a custom strategy, and stop when aborted', async () => {
+    const ff = mockedFarFetch();
+
+    ff.mock.get('http://example.com/paginate/lazy/:page', ({ url }) => ({
+      json: [Number(url.split('/').pop())],
+    }));
+
+    const controller = new AbortController();
+
+    const iterator = ff.paginate('http://example.com/paginate/lazy/1', {
+      strategy: (response, { page }) => `http://example.com/paginate/lazy/${page + 1}`,
+      signal: controller.signal,
+    });
+
+    expect(ff.mock.calls()).toHaveLength(0);
+    expect(await iterator.next()).toEqual({ value: 1, done: false });
+    expect(await iterator.next()).toEqual({ value: 2, done: false });
+    expect(ff.mock.calls()).toHaveLength(2);
+
+    controller.abort();
+
+    await expect(iterator.next()).rejects.toBeInstanceOf(AbortError);
+  });
+});
+
+describe('testing concurrency limits and the queue', () => {
+  // Fetch API implementation whose responses are sent on demand
+  const manualFetch = () => {
+    const sent = [];
+
+    const fetchImplementation = jest.fn((url) => new Promise((resolve) => {
+      sent.push({ url, respond: () => resolve(new fetchMock.config.Response(url)) });
+    }));
+
+    return { sent, fetchImplementation };
+  };
+
+  it('should limit the amount of requests sent at the same time', async () => {
+    const { sent, fetchImplementation } = manualFetch();
+
+    const ff = new FarFetch({ maxConcurrent: 2, fetch: fetchImplementation });
+
+    const requests = [1, 2, 3, 4, 5].map((id) => ff.delete(`http://example.com/queue/rows/${id}`));
+
+    await tick();
+
+    expect(sent).toHaveLength(2);
+    expect(ff.queue.pending).toBe(2);
+    expect(ff.queue.size).toBe(3);
+
+    sent[0].respond();
+
+    await tick();
+
+    expect(sent.map(({ url }) => url.split('/').pop())).toEqual(['1', '2', '3']);
+
+    sent.slice(1).forEach(({ respond }) => respond());
+    await tick();
+    sent.slice(3).forEach(({ respond }) => respond());
+
+    const responses = await Promise.all(requests);
+
+    expect(responses.map(({ responseText }) => responseText.split('/').pop()))
+      .toEqual(['1', '2', '3', '4', '5']);
+    expect(ff.queue.pending).toBe(0);
+    expect(ff.queue.size).toBe(0);
+  });
+
+  it('should limit requests per host, and send higher priorities first', async () => {
+    const { sent, fetchImplementation } = manualFetch();
+
+    const ff = new FarFetch({ maxConcurrent: { perHost: 1 }, fetch: fetchImplementation });
+
+    const requests = [
+      ff.get('http://a.example.com/queue/1'),
+      ff.get('http://a.example.com/queue/prefetch', { priority: -1 }),
+      ff.get('http://a.example.com/queue/2'),
+      ff.get('http://b.example.com/queue/1'),
+      ff.get('http://a.example.com/queue/clicked', { priority: 10 }),
+    ];
+
+    await tick();
+
+    expect(sent.map(({ url }) => url)).toEqual([
+      'http://a.example.com/queue/1',
+      'http://b.example.com/queue/1',
+    ]);
+
+    for (let index = 0; index < 4; index += 1) {
+      sent[sent.length - 1].respond();
+      sent[0].respond();
+      // eslint-disable-next-line no-await-in-loop
+      await tick();
+    }
+
+    await Promise.all(requests);
+
+    expect(sent.map(({ url }) => url).filter((url) => url.includes('//a.'))).toEqual([
+      'http://a.example.com/queue/1',
+      'http://a.example.com/queue/clicked',
+      'http://a.example.com/queue/2',
+      'http://a.example.com/queue/prefetch',
+    ]);
+  });
+
+  it('should pause, resume and clear the queue, shared with child instances', async () => {
+    const { sent, fetchImplementation } = manualFetch();
+
+    const ff = new FarFetch({ fetch: fetchImplementation });
+
+    const child = ff.extend({ headers: { 'X-Child': '1' } });
+
+    expect(child.queue).toBe(ff.queue);
+
+    ff.queue.pause();
+
+    const paused = child.get('http://example.com/queue/paused');
+    const cleared = ff.get('http://example.com/queue/cleared');
+
+    await tick();
+
+    expect(sent).toHaveLength(0);
+    expect(ff.queue.size).toBe(2);
+
+    ff.queue.resume();
+
+    await tick();
+
+    expect(sent).toHaveLength(2);
+
+    sent.forEach(({ respond }) => respond());
+
+    await Promise.all([paused, cleared]);
+
+    ff.queue.pause();
+
+    const request = ff.get('http://example.com/queue/cleared2');
+
+    await tick();
+
+    ff.queue.clear().resume();
+
+    await expect(request).rejects.toBeInstanceOf(AbortError);
+    expect(sent).toHaveLength(2);
+  });
+
+  it('should respect the timeout and signal of queued requests', async () => {
+    const { sent, fetchImplementation } = manualFetch();
+
+    const ff = new FarFetch({ maxConcurrent: 1, fetch: fetchImplementation });
+
+    const blocking = ff.get('http://example.com/queue/blocking');
+
+    const controller = new AbortController();
+
+    const timedOut = ff.get('http://example.com/queue/timeout', { timeout: 20 });
+    const aborted = ff.get('http://example.com/queue/abort', { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(aborted).rejects.toBeInstanceOf(AbortError);
+    await expect(timedOut).rejects.toBeInstanceOf(TimeoutError);
+    expect(ff.queue.size).toBe(0);
+
+    sent[0].respond();
+
+    await blocking;
+
+    expect(sent).toHaveLength(1);
+    expect(ff.queue.pending).toBe(0);
+  });
+
+  it('should count the time spent in the queue in the timeout', async () => {
+    const ff = new FarFetch({ maxConcurrent: 1, timeout: 100 });
+
+    fetchMock.get('begin:http://example.com/queue/slow/', 200, { delay: 80 });
+
+    const first = ff.get('http://example.com/queue/slow/1');
+    const second = ff.get('http://example.com/queue/slow/2');
+
+    await expect(first).resolves.toMatchObject({ status: 200 });
+    await expect(second).rejects.toBeInstanceOf(TimeoutError);
+  });
+});
+
+describe('testing rate limits', () => {
+  // Settles pending promises, with the real setImmediate since timers are fake
+  const flush = () => new Promise(jest.requireActual('timers').setImmediate);
+
+  const advance = async (ms) => {
+    jest.advanceTimersByTime(ms);
+
+    await flush();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should delay requests over the limit instead of failing them', async () => {
+    const ff = mockedFarFetch({ rateLimit: { limit: 2, interval: 100 } });
+
+    ff.mock.get('http://example.com/rate/:id', 200);
+
+    const requests = [1, 2, 3, 4].map((id) => ff.get(`http://example.com/rate/${id}`));
+
+    await flush();
+
+    expect(ff.mock.calls()).toHaveLength(2);
+    expect(ff.rateLimiter.state()).toMatchObject({
+      limit: 2,
+      remaining: 0,
+      wait: 50,
+      queued: 2,
+    });
+
+    await advance(49);
+
+    expect(ff.mock.calls()).toHaveLength(2);
+
+    await advance(1);
+
+    expect(ff.mock.calls()).toHaveLength(3);
+
+    await advance(50);
+    await Promise.all(requests);
+
+    expect(ff.mock.calls().map(({ url }) => url.split('/').pop())).toEqual(['1', '2', '3', '4']);
+    expect(ff.rateLimiter.state().queued).toBe(0);
+  });
+
+  it('should adapt to the rate limit response headers', async () => {
+    const ff = mockedFarFetch({ rateLimit: true });
+
+    const resetAt = Date.now() / 1000 + 1;
+
+    ff.mock
+      .get('http://example.com/rate/x-headers', {
+        headers: {
+          'X-RateLimit-Limit': '60',
+          'X-RateLimit-Remaining': '0',
+          'X-RateLimit-Reset': String(resetAt),
+        },
+      }, { times: 1 })
+      .get('http://example.com/rate/draft-headers', {
+        headers: {
+          RateLimit: '"burst";r=5;t=1, "daily";r=0;t=0.2',
+          'RateLimit-Policy': '"burst";q=10;w=1, "daily";q=1000;w=86400',
+        },
+      }, { times: 1 })
+      .get(/rate/, 200);
+
+    await ff.get('http://example.com/rate/x-headers');
+
+    const state = ff.rateLimiter.state();
+
+    expect(state).toMatchObject({
+      limit: 60,
+      remaining: 0,
+      wait: 1000,
+      queued: 0,
+    });
+    expect(state.reset.getTime()).toBe(resetAt * 1000);
+
+    const delayed = ff.get('http://example.com/rate/draft-headers');
+
+    await advance(999);
+
+    expect(ff.mock.calls()).toHaveLength(1);
+    expect(ff.rateLimiter.state().queued).toBe(1);
+
+    await advance(1);
+    await delayed;
+
+    expect(ff.mock.calls()).toHaveLength(2);
+
+    // Least remaining policy is used
+    expect(ff.rateLimiter.state()).toMatchObject({ limit: 1000, remaining: 0, wait: 200 });
+
+    const after = ff.get('http://example.com/rate/after');
+
+    await advance(199);
+
+    expect(ff.mock.calls()).toHaveLength(2);
+
+    await advance(1);
+    await after;
+
+    expect(ff.mock.calls()).toHaveLength(3);
+    expect(ff.rateLimiter.state()).toMatchObject({ remaining: 999, reset: null });
+  });
+
+  it('should wait for Retry-After before sending any other request', async () => {
+    const ff = mockedFarFetch({ rateLimit: true, throwOnError: false });
+
+    ff.mock
+      .get('http://example.com/rate/limited', { status: 429, headers: { 'Retry-After': '1' } })
+      .get('http://example.com/rate/other', 200);
+
+    const { response } = await ff.get('http://example.com/rate/limited');
+
+    expect(response.status).toBe(429);
+    expect(ff.rateLimiter.state().wait).toBe(1000);
+
+    const other = ff.get('http://example.com/rate/other');
+
+    await advance(999);
+
+    expect(ff.mock.calls()).toHaveLength(1);
+
+    await advance(1);
+    await other;
+
+    expect(ff.mock.calls()).toHaveLength(2);
+  });
+
+  it('should limit each base URL separately, shared with child instances', async () => {
+    const ff = mockedFarFetch({
+      baseURL: 'http://a.example.com/api',
+      rateLimit: { limit: 1, interval: 60000, perBaseURL: true },
+    });
+
+    ff.mock.get(/rate/, 200);
+
+    await ff.get('rate');
+    await ff.get('http://b.example.com/rate');
+
+    // Not under the base URL, so limited with the other requests of its origin
+    await ff.get('http://a.example.com/api10/rate');
+
+    expect(ff.rateLimiter.state('http://a.example.com/api/')).toMatchObject({ remaining: 0 });
+    expect(ff.rateLimiter.state('http://b.example.com')).toMatchObject({ remaining: 0 });
+    expect(ff.rateLimiter.state('http://a.example.com')).toMatchObject({ remaining: 0 });
+    expect(ff.rateLimiter.state('http://c.example.com')).toMatchObject({ limit: 1, remaining: 1 });
+
+    const child = ff.extend({ headers: { 'X-Child': '1' } });
+
+    expect(child.rateLimiter).toBe(ff.rateLimiter);
+    expect(ff.extend({ rateLimit: false }).rateLimiter.enabled).toBe(false);
+
+    const controller = new AbortController();
+
+    const aborted = child.get('rate', { signal: controller.signal });
+    const timedOut = ff.get('rate', { timeout: 20 }).catch((error) => error);
+
+    await flush();
+
+    expect(ff.rateLimiter.state('http://a.example.com/api').queued).toBe(2);
+
+    controller.abort();
+
+    await expect(aborted).rejects.toBeInstanceOf(AbortError);
+
+    await advance(20);
+
+    expect(await timedOut).toBeInstanceOf(TimeoutError);
+    expect(ff.rateLimiter.state('http://a.example.com/api').queued).toBe(0);
+    expect(ff.mock.calls()).toHaveLength(3);
+  });
+});
@@ -0,0 +1,645 @@
+// Type definitions for @websitebeaver/far-fetch
+// Keep in sync with the JSDoc of src/, which is the source of truth.
+
+export type Method = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE' | 'HEAD' | 'OPTIONS';
+
+export type ErrorCode =
+  | 'EHTTP'
+  | 'ENETWORK'
+  | 'ETIMEDOUT'
+  | 'EABORTED'
+  | 'EPARSE'
+  | 'EVALIDATION'
+  | 'ESCHEMA'
+  | 'EAUTH'
+  | 'ENOMOCK';
+
+/** Fetch API response plus the parsed body. */
+export type ResponsePlus<T = any> = Response & {
+  /** Body parsed as JSON if the response is JSON, including `+json` types. */
+  responseJSON: T | null;
+  /** Body as text if the response is text, including `text/*` and XML. */
+  responseText: string | null;
+  /** Body parsed according to the `responseType` option. */
+  responseData: T | null;
+};
+
+/** Result of a request that doesn't throw, when `throwOnError` is `false`. */
+export type RequestResult<T = any> =
+  | { ok: true; data: T | null; error: null; response: ResponsePlus<T> }
+  | { ok: false; data: null; error: FarFetchError; response: ResponsePlus | null };
+
+export type ResponseType = 'auto' | 'json' | 'text' | 'blob' | 'arrayBuffer' | 'formData' | 'stream';
+
+export type ParamsSerializer =
+  | 'json'
+  | 'brackets'
+  | 'indices'
+  | 'repeat'
+  | 'comma'
+  | ((params: Record<string, any>) => string);
+
+export type FormDataSerializer =
+  | 'json'
+  | 'brackets'
+  | 'indices'
+  | 'repeat'
+  | 'comma'
+  | ((data: Record<string, any>) => FormData);
+
+export interface Progress {
+  /** Amount of bytes transferred. */
+  loaded: number;
+  /** Total amount of bytes, or `0` if unknown. */
+  total: number;
+  /** Percentage transferred, from 0 to 100, or null if the total is unknown. */
+  percent: number | null;
+}
+
+export interface RetryOptions {
+  limit?: number;
+  methods?: Method[];
+  statusCodes?: number[];
+  backoff?: 'exponential' | 'linear' | 'fixed' | ((attempt: number) => number);
+  delay?: number;
+  maxDelay?: number;
+  jitter?: boolean;
+  retryAfter?: boolean;
+  maxRetryAfter?: number;
+}
+
+export interface CacheOptions {
+  ttl?: number;
+  staleWhileRevalidate?: number;
+  headers?: string[];
+  maxEntries?: number;
+}
+
+export interface AuthOptions {
+  getToken(): string | null | undefined | Promise<string | null | undefined>;
+  refreshToken(): string | void | Promise<string | void>;
+  header?: string;
+  scheme?: string;
+  statusCodes?: number[];
+}
+
+/** JSON Schema, or a validator like zod, Joi, yup or an ajv compiled function. */
+export type Schema =
+  | Record<string, any>
+  | boolean
+  | { safeParse(value: unknown): any }
+  | { parse(value: unknown): any }
+  | { validate(value: unknown): any }
+  | ((value: unknown) => boolean | Promise<boolean>);
+
+export interface SchemaIssue {
+  /** JSON Pointer of the invalid value, like `/users/0/name`. */
+  path: string;
+  message: string;
+}
+
+/** Binary value, including Node Buffers and streams. */
+export type Binary =
+  | Blob
+  | ArrayBuffer
+  | ArrayBufferView
+  | ReadableStream
+  | { pipe(...args: any[]): any };
+
+export type Files = Binary | Binary[] | Record<string, Binary | Binary[]>;
+
+export type FetchImplementation = (url: string, init?: RequestInit) => Promise<Response>;
+
+/** Sends the requests instead of Fetch API, like a `MockTransport`, `HARRecorder` or `HARReplay`. */
+export interface Transport {
+  fetch: FetchImplementation;
+}
+
+export type validateStatusCallback = (status: number) => boolean;
+
+export type parserCallback = (response: Response) => any;
+
+/** The request object options without Fetch API options. */
+export interface RequestOptionsNoInit {
+  data?: Record<string, any> | FormData | Binary;
+  URLParams?: Record<string, any>;
+  files?: Files;
+  errorMsgNoun?: string;
+  errorMsg?: string;
+  globalBeforeSend?: boolean;
+  globalAfterSend?: boolean;
+  globalOnRetry?: boolean;
+  retry?: number | boolean | RetryOptions;
+  timeout?: number;
+  signal?: AbortSignal;
+  auth?: boolean;
+  dedupe?: boolean;
+  /** Requests with a higher priority are sent first when they're queued. */
+  priority?: number;
+  onUploadProgress?: (progress: Progress) => void;
+  onDownloadProgress?: (progress: Progress) => void;
+  responseType?: ResponseType;
+  validateStatus?: validateStatusCallback;
+  schema?: Schema;
+  dataSchema?: Schema;
+  baseURL?: string;
+  pathParams?: Record<string, string | number | boolean>;
+  paramsSerializer?: ParamsSerializer;
+  formDataSerializer?: FormDataSerializer;
+  throwOnError?: boolean;
+  defaultOptionsUsed?: boolean;
+}
+
+/** The request object options, with the init options from Fetch API. */
+export interface RequestOptions
+  extends RequestOptionsNoInit, Omit<RequestInit, 'cache' | 'signal' | 'priority'> {
+  /** Response cache options, or the Fetch API cache mode if a string. */
+  cache?: boolean | CacheOptions | RequestCache;
+}
+
+/** Request options of a request that resolves to a `RequestResult` instead of throwing. */
+export type SafeRequestOptions = RequestOptions & { throwOnError: false };
+
+/** The request that failed, safe to log. */
+export interface ErrorRequest {
+  url: string;
+  method: string;
+  options: RequestInit;
+}
+
+export type dynamicOptionsCallback = () => RequestInit | void | Promise<RequestInit | void>;
+
+export type beforeSendCallback = (
+  options: { url: string; fetchAPIOptions: RequestInit } & RequestOptionsNoInit,
+) => void | Promise<void>;
+
+export type afterSendCallback = (response: ResponsePlus) => void | Promise<void>;
+
+export type onRetryCallback = (options: {
+  url: string;
+  fetchAPIOptions: RequestInit;
+  attempt: number;
+  delay: number;
+  error?: NetworkError | TimeoutError;
+  response?: ResponsePlus;
+}) => void | Promise<void>;
+
+export type errorHandlerCallback = (options: {
+  error: FarFetchError | Error;
+  response?: ResponsePlus;
+  userMessage: string;
+}) => void | Promise<void>;
+
+export type errorMsgTemplateCallback = (options: {
+  method: Method;
+  errorMsgNoun: string;
+  error?: FarFetchError | Error;
+}) => string;
+
+type Hook<T> = T | T[];
+
+export interface MiddlewareContext {
+  requestURL: string;
+  url: string;
+  options: RequestInit;
+  requestOptions: RequestOptionsNoInit;
+  response?: ResponsePlus;
+  queueTime?: number;
+}
+
+export type middlewareCallback = (
+  ctx: MiddlewareContext,
+  next: (ctx?: MiddlewareContext) => Promise<ResponsePlus>,
+) => ResponsePlus | void | Promise<ResponsePlus | void>;
+
+/** Options of the constructor, `FarFetch.create()` and `extend()`. */
+export interface FarFetchOptions extends Omit<RequestInit, 'cache' | 'signal'> {
+  baseURL?: string;
+  dynamicOptions?: Hook<dynamicOptionsCallback>;
+  beforeSend?: Hook<beforeSendCallback>;
+  afterSend?: Hook<afterSendCallback>;
+  onRetry?: Hook<onRetryCallback>;
+  errorHandler?: Hook<errorHandlerCallback>;
+  errorMsgTemplate?: errorMsgTemplateCallback;
+  retry?: number | boolean | RetryOptions;
+  timeout?: number;
+  auth?: AuthOptions;
+  cache?: CacheOptions | RequestCache;
+  dedupe?: boolean;
+  /** Maximum amount of requests sent at the same time, globally or per host. */
+  maxConcurrent?: MaxConcurrent;
+  /** Delay requests so they stay within a rate limit, adapted from the rate limit headers. */
+  rateLimit?: number | boolean | RateLimitOptions;
+  responseType?: ResponseType;
+  parsers?: Record<string, parserCallback>;
+  validateStatus?: validateStatusCallback;
+  paramsSerializer?: ParamsSerializer;
+  formDataSerializer?: FormDataSerializer;
+  throwOnError?: boolean;
+  /** Fetch API implementation, like node-fetch, undici or a test double. */
+  fetch?: FetchImplementation | Transport;
+}
+
+export interface FarFetchParsers {
+  register(mimeType: string, parser: parserCallback): this;
+  unregister(mimeType: string): this;
+  get(mimeType: string): parserCallback | undefined;
+  clone(): FarFetchParsers;
+}
+
+export interface FarFetchCache {
+  invalidate(keyOrPrefix?: string): void;
+  clear(): void;
+}
+
+export type MaxConcurrent = number | { global?: number; perHost?: number };
+
+export interface FarFetchQueue {
+  /** Amount of requests waiting to be sent. */
+  readonly size: number;
+  /** Amount of requests being sent. */
+  readonly pending: number;
+  pause(): this;
+  resume(): this;
+  clear(): this;
+}
+
+export interface RateLimitOptions {
+  /** Amount of requests allowed per interval. Only the response headers limit them by default. */
+  limit?: number;
+  /** Amount of milliseconds the limit applies to. */
+  interval?: number;
+  /** Limit the requests to each base URL separately. */
+  perBaseURL?: boolean;
+  /** Adapt to the rate limit response headers. */
+  headers?: boolean;
+}
+
+export interface RateLimitState {
+  limit: number | null;
+  remaining: number | null;
+  reset: Date | null;
+  /** Amount of milliseconds before the next request can be sent. */
+  wait: number | null;
+  queued: number;
+}
+
+export interface FarFetchRateLimiter {
+  readonly enabled: boolean;
+  state(baseURL?: string): RateLimitState;
+}
+
+export interface ResourceAction extends RequestOptions {
+  method?: Method;
+  path?: string;
+}
+
+export interface ResourceOptions extends RequestOptions {
+  errorMsgNounPlural?: string;
+  actions?: Record<string, ResourceAction>;
+}
+
+export type ResourceActionMethod = <R = any>(options?: RequestOptions) => Promise<ResponsePlus<R>>;
+
+/** REST resource created by `ff.resource()`. */
+export interface FarFetchResource<T = any> {
+  list(options?: RequestOptions): Promise<ResponsePlus<T[]>>;
+  get(id: string | number, options?: RequestOptions): Promise<ResponsePlus<T>>;
+  create(data: Partial<T>, options?: RequestOptions): Promise<ResponsePlus<T>>;
+  update(id: string | number, data: T, options?: RequestOptions): Promise<ResponsePlus<T>>;
+  patch(id: string | number, data: Partial<T>, options?: RequestOptions): Promise<ResponsePlus<T>>;
+  remove(id: string | number, options?: RequestOptions): Promise<ResponsePlus<null>>;
+  [action: string]: any;
+}
+
+/** Client created by `FarFetch.fromOpenAPI()`, typed with the `far-fetch-openapi` command. */
+export type OpenAPIClient = Record<
+  string,
+  (params?: Record<string, any>, options?: RequestOptions) => Promise<ResponsePlus>
+>;
+
+interface RequestFunction {
+  <T = any>(url: string, options: SafeRequestOptions): Promise<RequestResult<T>>;
+  <T = any>(url: string, options?: RequestOptions): Promise<ResponsePlus<T>>;
+}
+
+interface SafeRequestFunction {
+  <T = any>(url: string, options?: RequestOptions): Promise<RequestResult<T>>;
+}
+
+export type paginateStrategyCallback = (
+  response: ResponsePlus,
+  state: { page: number; items: any[]; params: Record<string, any> },
+) => string | Record<string, any> | null;
+
+export type PaginateStrategy = 'link' | 'cursor' | 'offset' | 'page' | paginateStrategyCallback;
+
+export interface PaginateOptions extends RequestOptions {
+  strategy?: PaginateStrategy;
+  /** Path of the items in `responseJSON`, like `data.users`, or a function returning them. */
+  items?: string | ((response: ResponsePlus) => any[]);
+  /** Yield each page instead of its items. */
+  pages?: boolean;
+  maxPages?: number;
+  maxItems?: number;
+  cursor?: string | ((response: ResponsePlus) => any);
+  cursorParam?: string;
+  limit?: number;
+  limitParam?: string;
+  offsetParam?: string;
+  pageParam?: string;
+  startPage?: number;
+}
+
+/** `ff.paginate()`, typed with the type of a single item. */
+export interface Paginate {
+  <T = any>(url: string, options: PaginateOptions & { pages: true }): AsyncGenerator<ResponsePlus<T[]>, void>;
+  <T = any>(url: string, options?: PaginateOptions): AsyncGenerator<T, void>;
+  all<T = any>(url: string, options: PaginateOptions & { pages: true }): Promise<Array<ResponsePlus<T[]>>>;
+  all<T = any>(url: string, options?: PaginateOptions): Promise<T[]>;
+}
+
+/** CRUD class to simplify fetch API and uploading. */
+export default class FarFetch {
+  constructor(options?: FarFetchOptions);
+
+  baseURL: string;
+
+  parsers: FarFetchParsers;
+
+  cache: FarFetchCache;
+
+  /** Queue of the requests waiting for room when the `maxConcurrent` option is set. */
+  queue: FarFetchQueue;
+
+  /** Rate limit of the requests when the `rateLimit` option is set. */
+  rateLimiter: FarFetchRateLimiter;
+
+  /** Mock replying to the requests, when the `fetch` option is a `MockTransport`. */
+  mock?: MockTransport;
+
+  /** Iterate over the items, or pages, of a paginated endpoint. */
+  paginate: Paginate;
+
+  /** Request functions that resolve to a `RequestResult` instead of throwing. */
+  safe: {
+    fetch<T = any>(url: string, options: RequestOptions & { method: Method }): Promise<RequestResult<T>>;
+    get: SafeRequestFunction;
+    post: SafeRequestFunction;
+    put: SafeRequestFunction;
+    patch: SafeRequestFunction;
+    delete: SafeRequestFunction;
+    head: SafeRequestFunction;
+  };
+
+  static create(options?: FarFetchOptions): FarFetch;
+
+  static fromOpenAPI<TClient = OpenAPIClient>(spec: object, options?: FarFetchOptions): TClient;
+
+  /** Create a FarFetch object whose requests are replied by a `MockTransport`. */
+  static mock(options?: FarFetchOptions): FarFetch & { mock: MockTransport };
+
+  use(middleware: middlewareCallback): this;
+
+  extend(overrides?: FarFetchOptions): FarFetch;
+
+  resource<T = any>(path: string, options?: ResourceOptions): FarFetchResource<T>;
+
+  fetch<T = any>(
+    url: string,
+    options: SafeRequestOptions & { method: Method },
+  ): Promise<RequestResult<T>>;
+  fetch<T = any>(url: string, options: RequestOptions & { method: Method }): Promise<ResponsePlus<T>>;
+
+  get: RequestFunction;
+
+  post: RequestFunction;
+
+  put: RequestFunction;
+
+  patch: RequestFunction;
+
+  delete: RequestFunction;
+
+  head: RequestFunction;
+}
+
+export class FarFetchError extends Error {
+  constructor(message: string | Record<string, any>);
+
+  code?: ErrorCode;
+
+  request?: ErrorRequest;
+
+  response?: ResponsePlus;
+
+  cause?: unknown;
+
+  /** @deprecated Use the error directly. */
+  readonly error: this;
+
+  copy(properties?: Record<string, any>): this;
+
+  static request(url: string, options?: RequestInit): ErrorRequest;
+}
+
+export class HTTPError<T = any> extends FarFetchError {
+  constructor(response: ResponsePlus<T>);
+
+  code: 'EHTTP';
+
+  status: number;
+
+  statusText: string;
+
+  body: T | null;
+
+  response: ResponsePlus<T>;
+}
+
+export class NetworkError extends FarFetchError {
+  constructor(cause: Error);
+
+  code: 'ENETWORK';
+}
+
+export class TimeoutError extends FarFetchError {
+  constructor(timeout: number, cause?: Error);
+
+  code: 'ETIMEDOUT';
+
+  timeout: number;
+}
+
+export class AbortError extends FarFetchError {
+  constructor(cause?: Error);
+
+  code: 'EABORTED';
+}
+
+export class ParseError extends FarFetchError {
+  constructor(response: Response, cause: Error);
+
+  code: 'EPARSE';
+}
+
+export class ValidationError extends FarFetchError {
+  constructor(message: string, properties?: Record<string, any>);
+
+  code: 'EVALIDATION';
+
+  [property: string]: any;
+}
+
+export class SchemaError extends FarFetchError {
+  constructor(target: 'response' | 'data', issues: any[]);
+
+  code: 'ESCHEMA';
+
+  target: 'response' | 'data';
+
+  /** Issues found by the validator, in its format. `SchemaIssue` for JSON Schemas. */
+  issues: Array<SchemaIssue | any>;
+}
+
+export interface MockReply {
+  status?: number;
+  statusText?: string;
+  headers?: Record<string, string>;
+  json?: any;
+  body?: BodyInit | null;
+  delay?: number;
+  networkError?: boolean | Error;
+}
+
+export interface MockCall {
+  method: string;
+  url: string;
+  query: Record<string, string>;
+  headers: Record<string, string>;
+  body: any;
+  json: any;
+  options: RequestInit;
+  matched: boolean;
+}
+
+export type mockReplyCallback = (call: MockCall) => MockReply | number | Promise<MockReply | number>;
+
+export type MockRoutePattern = string | RegExp;
+
+export class MockTransport {
+  constructor(options?: { baseURL?: string; Response?: typeof Response });
+
+  baseURL: string;
+
+  /** Fetch API implementation replying with the routes. */
+  fetch: FetchImplementation;
+
+  on(
+    method: Method | '*',
+    pattern: MockRoutePattern,
+    reply?: MockReply | number | mockReplyCallback,
+    options?: { times?: number },
+  ): this;
+
+  get(pattern: MockRoutePattern, reply?: MockReply | number | mockReplyCallback, options?: { times?: number }): this;
+
+  post(pattern: MockRoutePattern, reply?: MockReply | number | mockReplyCallback, options?: { times?: number }): this;
+
+  put(pattern: MockRoutePattern, reply?: MockReply | number | mockReplyCallback, options?: { times?: number }): this;
+
+  patch(pattern: MockRoutePattern, reply?: MockReply | number | mockReplyCallback, options?: { times?: number }): this;
+
+  delete(pattern: MockRoutePattern, reply?: MockReply | number | mockReplyCallback, options?: { times?: number }): this;
+
+  head(pattern: MockRoutePattern, reply?: MockReply | number | mockReplyCallback, options?: { times?: number }): this;
+
+  /** Requests received, including the ones no route matched. */
+  calls(pattern?: MockRoutePattern, method?: string): MockCall[];
+
+  reset(): this;
+}
+
+export interface HARPair {
+  name: string;
+  value: string;
+}
+
+export interface HARRequest {
+  method: string;
+  url: string;
+  httpVersion: string;
+  cookies: HARPair[];
+  headers: HARPair[];
+  queryString: HARPair[];
+  postData?: {
+    mimeType: string;
+    text: string;
+    params?: Array<{ name: string; value?: string; fileName?: string; contentType?: string }>;
+    comment?: string;
+  };
+  headersSize: number;
+  bodySize: number;
+}
+
+export interface HARResponse {
+  status: number;
+  statusText: string;
+  httpVersion: string;
+  cookies: HARPair[];
+  headers: HARPair[];
+  content: { size: number; mimeType: string; text: string; encoding?: 'base64' };
+  redirectURL: string;
+  headersSize: number;
+  bodySize: number;
+}
+
+export interface HAREntry {
+  startedDateTime: string;
+  time: number;
+  request: HARRequest;
+  response: HARResponse;
+  cache: object;
+  timings: { send: number; wait: number; receive: number };
+}
+
+export interface HAR {
+  log: {
+    version: '1.2';
+    creator: { name: string; version: string };
+    entries: HAREntry[];
+  };
+}
+
+export class HARRecorder {
+  constructor(options?: { fetch?: FetchImplementation; redact?: string[] });
+
+  /** Recorded requests and responses, in the order they were sent. */
+  entries: HAREntry[];
+
+  /** Fetch API implementation recording the requests. */
+  fetch: FetchImplementation;
+
+  har(): HAR;
+
+  toJSON(): HAR;
+}
+
+export interface HARReplayOptions {
+  ignoreHeaders?: boolean | string[];
+  normalizeQuery?: boolean;
+  ignoreQuery?: string[];
+  matchBody?: boolean;
+  match?: (request: HARRequest, entry: HAREntry) => boolean;
+  redact?: string[];
+  Response?: typeof Response;
+}
+
+export class HARReplay {
+  constructor(har: HAR | string, options?: HARReplayOptions);
+
+  entries: HAREntry[];
+
+  /** Fetch API implementation replying with the recordings. */
+  fetch: FetchImplementation;
+}
@@ -0,0 +1,162 @@
+// Type tests of the declarations. Compiled, never run, by `npm run test:types`.
+import FarFetch, {
+  FarFetchError,
+  HTTPError,
+  SchemaError,
+  MockTransport,
+  MockCall,
+  HARRecorder,
+  HARReplay,
+  RateLimitState,
+  RequestResult,
+  ResponsePlus,
+} from '.';
+
+interface User {
+  id: number;
+  name: string;
+}
+
+type Equals<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2)
+  ? true
+  : false;
+
+const expectType = <T extends true>(): T | undefined => undefined;
+
+const ff = new FarFetch({
+  baseURL: 'https://example.com',
+  headers: { Accept: 'application/json' },
+  retry: { limit: 2, backoff: 'linear' },
+  cache: { ttl: 60000 },
+  errorHandler({ error, userMessage, response }) {
+    if (error instanceof HTTPError) {
+      expectType<Equals<typeof error.status, number>>();
+    }
+
+    expectType<Equals<typeof userMessage, string>>();
+    expectType<Equals<typeof response, ResponsePlus | undefined>>();
+  },
+  afterSend: [(response) => { expectType<Equals<typeof response, ResponsePlus>>(); }],
+  errorMsgTemplate: ({ method, errorMsgNoun }) => `${method} ${errorMsgNoun}`,
+});
+
+async function requests(): Promise<void> {
+  const users = await ff.get<User[]>('/users', { data: { page: 2 }, errorMsgNoun: 'users' });
+
+  expectType<Equals<typeof users.responseJSON, User[] | null>>();
+  expectType<Equals<typeof users.status, number>>();
+
+  const untyped = await ff.post('/users', { data: { name: 'Ada' } });
+
+  expectType<Equals<typeof untyped.responseJSON, any>>();
+
+  const result = await ff.get<User>('/users/23', { throwOnError: false });
+
+  expectType<Equals<typeof result, RequestResult<User>>>();
+
+  if (result.ok) {
+    expectType<Equals<typeof result.data, User | null>>();
+  } else {
+    expectType<Equals<typeof result.error, FarFetchError>>();
+  }
+
+  const safe = await ff.safe.delete('/users/23');
+
+  expectType<Equals<typeof safe, RequestResult<any>>>();
+
+  await ff.fetch<User>('/users/23', { method: 'PATCH', data: { name: 'Ada' } });
+
+  // @ts-expect-error method is required
+  await ff.fetch('/users/23', { data: {} });
+
+  // @ts-expect-error unknown response type
+  await ff.get('/users', { responseType: 'xml' });
+
+  const usersResource = ff.resource<User>('users', { errorMsgNoun: 'user' });
+
+  const user = await usersResource.get(23);
+
+  expectType<Equals<typeof user.responseJSON, User | null>>();
+
+  await ff.post('/avatars', { files: { avatar: new Uint8Array([1]) }, data: new Blob(['a']) });
+
+  // @ts-expect-error name must be a string
+  await usersResource.patch(23, { name: 1 });
+
+  ff.use(async (ctx, next) => {
+    expectType<Equals<typeof ctx.url, string>>();
+
+    return next();
+  });
+
+  const child = ff.extend({ timeout: 5000, fetch: async (url, init) => fetch(url, init) });
+
+  expectType<Equals<typeof child, FarFetch>>();
+
+  const error = new SchemaError('response', []);
+
+  expectType<Equals<typeof error.code, 'ESCHEMA'>>();
+  expectType<Equals<typeof error.target, 'response' | 'data'>>();
+
+  const mocked = FarFetch.mock({ baseURL: 'https://my-url.com' });
+
+  mocked.mock.get('/users/:id', ({ url }) => ({ json: { id: Number(url.split('/').pop()) } }));
+  mocked.mock.on('*', /\/health$/, 204, { times: 1 });
+
+  // @ts-expect-error status must be a number
+  mocked.mock.post('/users', { status: '201' });
+
+  expectType<Equals<ReturnType<typeof mocked.mock.calls>, MockCall[]>>();
+
+  new FarFetch({ fetch: new MockTransport() });
+
+  const recorder = new HARRecorder({ redact: ['Authorization'] });
+
+  new FarFetch({ fetch: recorder });
+  new FarFetch({
+    fetch: new HARReplay(recorder.har(), {
+      ignoreHeaders: ['X-Request-Id'],
+      match: (request, entry) => request.method === entry.request.method,
+    }),
+  });
+
+  const pagedUsers = ff.paginate<User>('/users', { strategy: 'page', maxItems: 100 });
+
+  expectType<Equals<typeof pagedUsers, AsyncGenerator<User, void>>>();
+  expectType<Equals<Awaited<ReturnType<typeof ff.paginate.all<User>>>, User[]>>();
+
+  const userPages = await ff.paginate.all<User>('/users', { pages: true, strategy: 'cursor' });
+
+  expectType<Equals<typeof userPages[0]['responseJSON'], User[] | null>>();
+
+  const limited = new FarFetch({ maxConcurrent: { global: 6, perHost: 2 } });
+
+  await limited.get('/users', { priority: 10 });
+
+  expectType<Equals<typeof limited.queue.size, number>>();
+
+  limited.queue.pause().clear().resume();
+
+  const throttled = new FarFetch({ rateLimit: { limit: 10, interval: 1000, perBaseURL: true } });
+
+  expectType<Equals<typeof throttled.rateLimiter.state, (baseURL?: string) => RateLimitState>>();
+
+  const { remaining, reset } = throttled.rateLimiter.state('https://my-url.com');
+
+  expectType<Equals<typeof remaining, number | null>>();
+  expectType<Equals<typeof reset, Date | null>>();
+
+  // @ts-expect-error unknown rate limit option
+  new FarFetch({ rateLimit: { requestsPerSecond: 10 } });
+
+  // @ts-expect-error perHost must be a number
+  new FarFetch({ maxConcurrent: { perHost: '2' } });
+
+  // @ts-expect-error unknown strategy
+  ff.paginate('/users', { strategy: 'seek' });
+
+  // @ts-expect-error ignoreQuery must be an array
+  new HARReplay(recorder.har(), { ignoreQuery: 'page' });
+}
+
+export default requests;